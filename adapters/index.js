@@ -0,0 +1,19 @@
+// Source adapters. Each one declares:
+//   name                      - short id used in logs
+//   accept                    - Accept header for the fetch
+//   sourceType(src, domain)   - "rss" | "corporate", sent with each ingest
+//   enrich                    - optional; true fetches each new item's page for title/date
+//   match(src, { domain })    - whether this adapter handles the source
+//   extract(bodyText, src)    - [{ key, link, title, date, summary?, categories?, enclosures? }]
+//                               in page order; throw if the body isn't what the adapter expects
+// The shared pipeline in pollOneFeed does conditional GET, dedupe, gating, ingest and reporting.
+// Order matters: the first match wins, so keep the catch-all RSS adapter last.
+import discoveryalert from "./discoveryalert.js";
+import marketindex from "./marketindex.js";
+import rss from "./rss.js";
+
+export const adapters = [discoveryalert, marketindex, rss];
+
+export function pickAdapter(src, ctx) {
+  return adapters.find((a) => a.match(src, ctx)) ?? rss;
+}
@@ -0,0 +1,40 @@
+function parseMarketIndexAnnouncementLinks(html) {
+  // Extract links like: /asx/lyc/announcements/<slug>
+  const re = /href="(\/asx\/[a-z0-9]+\/announcements\/[^"]+)"/gi;
+  const out = [];
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    out.push(m[1]);
+  }
+  // Unique + keep order
+  const uniq = [];
+  const seen = new Set();
+  for (const p of out) {
+    if (!seen.has(p)) {
+      seen.add(p);
+      uniq.push("https://www.marketindex.com.au" + p);
+    }
+  }
+  return uniq;
+}
+
+// MarketIndex ASX announcements list (HTML). The list page doesn't expose machine dates, so
+// items carry only a link; title and date come from article-page enrichment.
+export default {
+  name: "marketindex",
+  enrich: true,
+  accept: "text/html, */*;q=0.8",
+  sourceType: () => "corporate",
+  match(src) {
+    const u = String(src?.url || "").toLowerCase();
+    return u.includes("marketindex.com.au/asx/") && u.endsWith("/announcements");
+  },
+  extract(bodyText) {
+    return parseMarketIndexAnnouncementLinks(bodyText).map((link) => ({
+      key: link,
+      link,
+      title: "",
+      date: null,
+    }));
+  },
+};
@@ -0,0 +1,219 @@
+import { XMLParser } from "fast-xml-parser";
+
+const rssParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+});
+
+function asArray(v) {
+  if (v === undefined || v === null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+// Text content of a parsed node: plain values, { "#text" } objects, or the first of a list.
+function text(v) {
+  if (Array.isArray(v)) return text(v[0]);
+  if (typeof v === "string") return v;
+  if (typeof v === "number" || typeof v === "boolean") return String(v);
+  if (v && typeof v === "object" && v["#text"] !== undefined) return String(v["#text"]);
+  return "";
+}
+
+function stripHtml(s) {
+  return String(s || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normLink(s) {
+  const x = String(s || "").trim();
+  if (!x) return "";
+  return x.replace(/^<|>$/g, "");
+}
+
+function isUrl(s) {
+  return /^https?:\/\//i.test(String(s || "").trim());
+}
+
+function uniq(list) {
+  return [...new Set(list.map((x) => String(x || "").trim()).filter(Boolean))];
+}
+
+function enclosure(url, type, length) {
+  const u = normLink(url);
+  if (!u) return null;
+  const n = Number(length);
+  return { url: u, type: type ? String(type) : null, length: Number.isFinite(n) ? n : null };
+}
+
+// Every format is normalised to:
+//   { id, link, title, date, summary, categories, enclosures }
+// where `date` is still the raw string; getItemKey/getItemLink/parseItemDate read this shape.
+
+// RSS 2.0 <item>, with the common namespaced extras (content:, dc:, media:, atom:link).
+function fromRss2(item) {
+  const guid = text(item?.guid);
+  const atomLinks = asArray(item?.["atom:link"]);
+  const link =
+    text(item?.link) ||
+    atomLinks.find((l) => !l?.["@_rel"] || l["@_rel"] === "alternate")?.["@_href"] ||
+    (isUrl(guid) ? guid : "");
+
+  return {
+    id: guid,
+    link,
+    title: text(item?.title),
+    date: text(item?.pubDate) || text(item?.["dc:date"]),
+    summary: stripHtml(
+      text(item?.description) || text(item?.["content:encoded"]) || text(item?.["media:description"])
+    ),
+    categories: uniq([
+      ...asArray(item?.category).map(text),
+      ...asArray(item?.["dc:subject"]).map(text),
+    ]),
+    enclosures: [
+      ...asArray(item?.enclosure).map((e) => enclosure(e?.["@_url"], e?.["@_type"], e?.["@_length"])),
+      ...asArray(item?.["media:content"]).map((e) =>
+        enclosure(e?.["@_url"], e?.["@_type"], e?.["@_fileSize"])
+      ),
+    ].filter(Boolean),
+  };
+}
+
+// RSS 1.0 / RDF <item>: identity lives in rdf:about, dates and subjects in the dc: namespace.
+function fromRdf(item) {
+  return {
+    id: item?.["@_rdf:about"] ?? "",
+    link: text(item?.link) || item?.["@_rdf:about"] || "",
+    title: text(item?.title),
+    date: text(item?.["dc:date"]),
+    summary: stripHtml(text(item?.description) || text(item?.["content:encoded"])),
+    categories: uniq(asArray(item?.["dc:subject"]).map(text)),
+    enclosures: [],
+  };
+}
+
+function fromAtom(entry) {
+  const links = asArray(entry?.link);
+  const alt =
+    links.find((l) => typeof l === "string") ??
+    links.find((l) => !l?.["@_rel"] || l["@_rel"] === "alternate") ??
+    links[0];
+
+  return {
+    id: text(entry?.id),
+    link: typeof alt === "string" ? alt : alt?.["@_href"] || alt?.href || "",
+    title: text(entry?.title),
+    date: text(entry?.published) || text(entry?.updated) || text(entry?.["dc:date"]),
+    summary: stripHtml(text(entry?.summary) || text(entry?.content)),
+    categories: uniq(
+      asArray(entry?.category).map((c) => c?.["@_term"] ?? c?.["@_label"] ?? text(c))
+    ),
+    enclosures: links
+      .filter((l) => l?.["@_rel"] === "enclosure")
+      .map((l) => enclosure(l["@_href"], l["@_type"], l["@_length"]))
+      .filter(Boolean),
+  };
+}
+
+// JSON Feed 1.0/1.1 item.
+function fromJsonFeed(item) {
+  return {
+    id: item?.id !== undefined ? String(item.id) : "",
+    link: item?.url || item?.external_url || "",
+    title: String(item?.title ?? ""),
+    date: item?.date_published || item?.date_modified || "",
+    summary: stripHtml(item?.summary || item?.content_text || item?.content_html || ""),
+    categories: uniq(asArray(item?.tags)),
+    enclosures: asArray(item?.attachments)
+      .map((a) => enclosure(a?.url, a?.mime_type, a?.size_in_bytes))
+      .filter(Boolean),
+  };
+}
+
+// Detects the format and returns { format, items } with items already normalised. Throws when
+// the body parses but isn't a feed we know, so the error is reported against the source.
+export function parseFeed(bodyText) {
+  const body = String(bodyText || "").replace(/^\uFEFF/, "").trim();
+
+  if (body.startsWith("{")) {
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch (e) {
+      throw new Error(`Feed looks like JSON but doesn't parse: ${e.message}`);
+    }
+    if (!String(json?.version ?? "").startsWith("https://jsonfeed.org/version/")) {
+      throw new Error("Unrecognised feed format: JSON without a jsonfeed.org version");
+    }
+    return { format: "jsonfeed", items: asArray(json.items).map(fromJsonFeed) };
+  }
+
+  const parsed = rssParser.parse(body);
+
+  if (parsed?.rss) {
+    return { format: "rss2", items: asArray(parsed.rss.channel?.item).map(fromRss2) };
+  }
+
+  const rdf = parsed?.["rdf:RDF"];
+  if (rdf) {
+    // Items are usually siblings of <channel>, but some feeds nest them inside it.
+    const items = asArray(rdf.item).length ? asArray(rdf.item) : asArray(rdf.channel?.item);
+    return { format: "rdf", items: items.map(fromRdf) };
+  }
+
+  if (parsed?.feed) return { format: "atom", items: asArray(parsed.feed.entry).map(fromAtom) };
+
+  const root = Object.keys(parsed ?? {}).filter((k) => !k.startsWith("?"))[0] ?? "(empty)";
+  throw new Error(`Unrecognised feed format (root element: ${root})`);
+}
+
+export function parseItemDate(item) {
+  const s = String(item?.date ?? "").trim();
+  if (!s) return null;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? new Date(t) : null;
+}
+
+export function getItemKey(item) {
+  const key = String(item?.id || item?.link || item?.title || "").trim();
+  return key ? key.slice(0, 500) : "";
+}
+
+export function getItemLink(item) {
+  return normLink(item?.link);
+}
+
+function isSecDomain(domain) {
+  return domain === "www.sec.gov" || domain === "sec.gov";
+}
+
+// Fallback adapter: anything not claimed by a more specific one is treated as a syndication feed
+// (RSS 2.0, RSS 1.0/RDF, Atom or JSON Feed).
+export default {
+  name: "rss",
+  accept: [
+    "application/rss+xml",
+    "application/atom+xml",
+    "application/rdf+xml",
+    "application/feed+json",
+    "application/json;q=0.9",
+    "text/xml;q=0.9",
+    "*/*;q=0.8",
+  ].join(", "),
+  sourceType: (src, domain) => (isSecDomain(domain) ? "corporate" : "rss"),
+  match: () => true,
+  extract(bodyText) {
+    return parseFeed(bodyText).items.map((item) => ({
+      key: getItemKey(item),
+      link: getItemLink(item),
+      title: item.title.trim(),
+      date: parseItemDate(item),
+      summary: item.summary.slice(0, 2000),
+      categories: item.categories,
+      enclosures: item.enclosures,
+    }));
+  },
+};
@@ -0,0 +1,122 @@
+// Offline URL clean-up: tracking-parameter stripping, redirector unwrapping and detection of
+// shortlinks / AMP pages that need a network round-trip to resolve.
+
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "gclsrc",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "twclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_hsenc",
+  "_hsmi",
+  "mkt_tok",
+  "li_fat_id",
+  "trk",
+  "trkcampaign",
+  "ref_src",
+  "cmpid",
+  "ocid",
+  "spm",
+  "sr_share",
+  "__twitter_impression",
+]);
+
+const SHORTLINK_HOSTS = new Set([
+  "t.co",
+  "lnkd.in",
+  "bit.ly",
+  "buff.ly",
+  "ow.ly",
+  "tinyurl.com",
+  "goo.gl",
+  "dlvr.it",
+  "trib.al",
+  "ift.tt",
+  "rebrand.ly",
+  "shorturl.at",
+  "fb.me",
+  "apple.news",
+]);
+
+function parse(url) {
+  try {
+    const u = new URL(String(url || "").trim());
+    return u.protocol === "http:" || u.protocol === "https:" ? u : null;
+  } catch {
+    return null;
+  }
+}
+
+function host(u) {
+  return u.hostname.toLowerCase().replace(/^www\./, "");
+}
+
+// Drops the fragment and known tracking parameters; returns the input unchanged if unparsable.
+export function stripTracking(url) {
+  const u = parse(url);
+  if (!u) return String(url || "").trim();
+
+  u.hash = "";
+  for (const k of [...u.searchParams.keys()]) {
+    const lower = k.toLowerCase();
+    if (lower.startsWith("utm_") || TRACKING_PARAMS.has(lower)) u.searchParams.delete(k);
+  }
+  return u.toString().replace(/\?$/, "");
+}
+
+// Google News /rss/articles/<id> ids are base64url protobufs; older ones embed the target URL.
+function decodeGoogleNewsId(id) {
+  try {
+    const bytes = Buffer.from(id.replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("latin1");
+    const m = /https?:\/\/[\x21-\x7e]+/.exec(bytes);
+    return m ? m[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+// Returns the wrapped target for known redirector URLs, or null when `url` isn't one.
+export function unwrapRedirect(url) {
+  const u = parse(url);
+  if (!u) return null;
+  const h = host(u);
+  const q = (k) => u.searchParams.get(k);
+
+  if (/^google\.[a-z.]+$/.test(h) && u.pathname === "/url") return q("q") || q("url");
+  if ((h === "l.facebook.com" || h === "lm.facebook.com") && u.pathname === "/l.php") return q("u");
+  if (h === "linkedin.com" && u.pathname.startsWith("/redir/redirect")) return q("url");
+  if (h === "out.reddit.com") return q("url");
+  if (h === "t.umblr.com" && u.pathname === "/redirect") return q("z");
+  if (h === "news.google.com") {
+    if (q("url")) return q("url");
+    const m = /\/(?:rss\/)?articles\/([A-Za-z0-9_-]+)/.exec(u.pathname);
+    if (m) return decodeGoogleNewsId(m[1]);
+  }
+  return null;
+}
+
+export function isShortlink(url) {
+  const u = parse(url);
+  return Boolean(u && SHORTLINK_HOSTS.has(host(u)));
+}
+
+export function isAmpUrl(url) {
+  const u = parse(url);
+  if (!u) return false;
+  return (
+    u.hostname.toLowerCase().startsWith("amp.") ||
+    /(^|\/)amp(\/|$)/i.test(u.pathname) ||
+    /\.amp(\.html)?$/i.test(u.pathname) ||
+    u.searchParams.get("amp") === "1" ||
+    u.searchParams.get("outputType") === "amp"
+  );
+}
+
+export function isHttpUrl(url) {
+  return parse(url) !== null;
+}
@@ -0,0 +1,392 @@
+// Settings schema and config-file loading. Every setting is named after the env var it has always
+// been read from; an optional config file (COCKPIT_CONFIG_FILE, JSON or YAML) may set any of
+// them, and a non-empty env var always wins over the file. Validation collects every problem so
+// a bad deploy fails once with the full list instead of one key at a time.
+//
+// `restart: true` marks settings that are only read at startup; changing them in the file is
+// reported on reload but needs a restart to take effect.
+
+import { readFile } from "node:fs/promises";
+import YAML from "yaml";
+
+import { parseSchedule, parseTimeWindows } from "./scheduler.js";
+
+const LEGACY_VERTICALS = ["COCKPIT_VERTICALS", "COCKPIT_VERTICALS_FILE"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+export const SETTINGS = {
+  // Discord
+  DISCORD_BOT_TOKEN: { type: "string", required: true, secret: true, restart: true },
+  DISCORD_GUILD_ID: { type: "snowflake", restart: true },
+  COMMAND_ROLE_IDS: { type: "snowflakes", restart: true },
+  BOTLOGS_CHANNEL_ID: { type: "snowflake", required: true, restart: true },
+  TRIAGE_CHANNEL_ID: { type: "snowflake", restart: true },
+
+  // Cockpit API
+  COCKPIT_API_BASE: { type: "url", required: true, restart: true },
+  COCKPIT_INGEST_SECRET: { type: "string", required: true, secret: true, restart: true },
+  COCKPIT_PROCESS_URL: { type: "url", restart: true },
+  COCKPIT_PROCESS_SECRET: { type: "string", secret: true },
+
+  // Verticals (legacy channel vars apply only without COCKPIT_VERTICALS / _FILE)
+  COCKPIT_VERTICALS: { type: "json", restart: true },
+  COCKPIT_VERTICALS_FILE: { type: "string", restart: true },
+  REERAW_CHANNEL_ID: { type: "snowflake", requiredUnless: LEGACY_VERTICALS, restart: true },
+  COALRAW_CHANNEL_ID: { type: "snowflake", requiredUnless: LEGACY_VERTICALS, restart: true },
+  POLICYRAW_CHANNEL_ID: { type: "snowflake", requiredUnless: LEGACY_VERTICALS, restart: true },
+  REEBRIEF_CHANNEL_ID: { type: "snowflake", restart: true },
+  COALBRIEF_CHANNEL_ID: { type: "snowflake", restart: true },
+  POLICYBRIEF_CHANNEL_ID: { type: "snowflake", restart: true },
+  COCKPIT_TRIAGE_SCORE: { type: "int", default: 85, min: 1, max: 100, restart: true },
+  COCKPIT_BRIEF_THREAD_SCORE: { type: "int", default: 101, min: 0, max: 101, restart: true },
+  COCKPIT_REVIEW_BELOW: { type: "int", default: 0, min: 0, max: 101, restart: true },
+  COCKPIT_SUPPRESS_BELOW: { type: "int", default: 0, min: 0, max: 101, restart: true },
+  COCKPIT_REVIEW_CHANNEL_ID: { type: "snowflake", restart: true },
+  COCKPIT_DIGEST_CHANNEL_ID: { type: "snowflake", restart: true },
+  COCKPIT_TRIAGE_ROLE_ID: { type: "snowflake", restart: true },
+  COCKPIT_ESCALATION_ROLE_ID: { type: "snowflake", restart: true },
+  COCKPIT_TRIAGE_REMIND_MIN: { type: "int", default: 30, min: 0, max: 1440, restart: true },
+  COCKPIT_TRIAGE_ESCALATE_MIN: { type: "int", default: 120, min: 0, max: 10080, restart: true },
+  COCKPIT_TRIAGE_MAX_REMINDERS: { type: "int", default: 3, min: 0, max: 20 },
+  COCKPIT_PUBLISH_WINDOWS: { type: "windows", restart: true },
+  COCKPIT_QUIET_HOURS: { type: "windows", restart: true },
+  COCKPIT_PUBLISH_TZ: { type: "timezone", default: "UTC", restart: true },
+
+  // Loops (a *_SCHEDULE replaces the matching *_INTERVAL_MIN)
+  COCKPIT_PROCESS_INTERVAL_MIN: { type: "int", default: 10, min: 1, max: 1440 },
+  COCKPIT_PUBLISH_INTERVAL_MIN: { type: "int", default: 15, min: 1, max: 1440 },
+  COCKPIT_RSS_INTERVAL_MIN: { type: "int", default: 10, min: 1, max: 1440 },
+  COCKPIT_PROCESS_SCHEDULE: { type: "schedule" },
+  COCKPIT_PUBLISH_SCHEDULE: { type: "schedule" },
+  COCKPIT_RSS_SCHEDULE: { type: "schedule" },
+  COCKPIT_HEARTBEAT_SCHEDULE: { type: "schedule", default: "@every 60m" },
+  COCKPIT_SCHEDULE_TZ: { type: "timezone", default: "UTC" },
+  COCKPIT_SCHEDULE_JITTER_SEC: { type: "int", default: 0, min: 0, max: 3600 },
+  COCKPIT_PROCESS_LIMIT: { type: "int", default: 20, min: 1, max: 50 },
+  COCKPIT_PUBLISH_LIMIT: { type: "int", default: 5, min: 1, max: 10 },
+  COCKPIT_CHANGES_LIMIT: { type: "int", default: 20, min: 1, max: 100 },
+  COCKPIT_RECONCILE_SCAN: { type: "int", default: 50, min: 10, max: 100 },
+  COCKPIT_RETRACT_MODE: { type: "enum", values: ["strike", "delete"], default: "strike" },
+
+  // Digests
+  COCKPIT_DIGEST_TZ: { type: "timezone", default: "UTC" },
+  COCKPIT_DIGEST_DAILY_AT: { type: "digest_at", weekly: false, default: "07:30" },
+  COCKPIT_DIGEST_WEEKLY_AT: { type: "digest_at", weekly: true, default: "mon 07:30" },
+  COCKPIT_DIGEST_TOP: { type: "int", default: 10, min: 1, max: 25 },
+  COCKPIT_FEEDSTATS_DIGEST_HOUR_UTC: { type: "int", default: 8, min: 0, max: 23 },
+
+  // Intake
+  COCKPIT_CANONICAL_FETCH: { type: "enum", values: ["on", "off"], default: "on" },
+  COCKPIT_DOC_EXTENSIONS: {
+    type: "string",
+    default: "pdf,doc,docx,ppt,pptx,xls,xlsx,csv,txt,rtf",
+    restart: true,
+  },
+  COCKPIT_DOC_MAX_BYTES: { type: "int", default: 26214400, min: 1024, max: 104857600 },
+  COCKPIT_WATCH_MAX_TERMS: { type: "int", default: 25, min: 1, max: 200 },
+
+  // RSS
+  COCKPIT_RSS_LIMIT_SOURCES: { type: "int", default: 100, min: 1, max: 500 },
+  COCKPIT_RSS_CONCURRENCY: { type: "int", default: 4, min: 1, max: 32 },
+  COCKPIT_RSS_MAX_ITEMS_PER_FEED: { type: "int", default: 10, min: 1, max: 50 },
+  COCKPIT_RSS_MAX_AGE_HOURS: { type: "int", default: 48, min: 1, max: 720 },
+  COCKPIT_RSS_TIMEOUT_MS: { type: "int", default: 20000, min: 1000, max: 120000 },
+  COCKPIT_RSS_RETRIES: { type: "int", default: 2, min: 0, max: 5 },
+  COCKPIT_RSS_USER_AGENT: {
+    type: "string",
+    default: "DyersCockpitBot/1.0 (+https://dyerempire.com)",
+  },
+  COCKPIT_SEC_USER_AGENT: { type: "string" },
+  COCKPIT_FILTER_RULES_FILE: { type: "string" },
+  COCKPIT_ENRICH: { type: "enum", values: ["on", "off"], default: "on" },
+  COCKPIT_ENRICH_MAX_BYTES: { type: "int", default: 524288, min: 16384, max: 5242880 },
+  COCKPIT_CLUSTERING: { type: "enum", values: ["on", "off"], default: "on" },
+  COCKPIT_CLUSTER_WINDOW_HOURS: { type: "int", default: 72, min: 1, max: 720, restart: true },
+  COCKPIT_CLUSTER_MIN_SCORE: { type: "number", default: 0.45, min: 0, max: 1, restart: true },
+  COCKPIT_SOURCE_PAUSE_AFTER: { type: "int", default: 8, min: 1, max: 1000 },
+  COCKPIT_SOURCE_EMPTY_ALERT: { type: "int", default: 12, min: 1, max: 1000 },
+  COCKPIT_SOURCE_BACKOFF_MAX_MIN: { type: "int", default: 360, min: 1, max: 10080 },
+
+  // Outbound fetch politeness
+  COCKPIT_SEC_DELAY_MS: { type: "int", default: 1200, min: 0, max: 10000, restart: true },
+  COCKPIT_HOST_MAX_CONCURRENT: { type: "int", default: 2, min: 1, max: 20, restart: true },
+  COCKPIT_HOST_MIN_INTERVAL_MS: { type: "int", default: 500, min: 0, max: 60000, restart: true },
+  COCKPIT_HOST_LIMITS: { type: "json", restart: true },
+
+  // Operations
+  COCKPIT_STATE_DIR: { type: "string", default: "./data", restart: true },
+  COCKPIT_HEALTH_PORT: { type: "port", default: "8080", restart: true },
+  COCKPIT_HEALTH_STALE_INTERVALS: { type: "int", default: 3, min: 1, max: 100 },
+  COCKPIT_LOG_LEVEL: {
+    type: "enum",
+    values: ["debug", "info", "warn", "error"],
+    default: "info",
+    restart: true,
+  },
+  COCKPIT_DISCORD_LOG_LEVEL: {
+    type: "enum",
+    values: ["debug", "info", "warn", "error", "off"],
+    default: "info",
+    restart: true,
+  },
+  COCKPIT_LOG_DEDUP_MIN: { type: "int", default: 60, min: 0, max: 1440, restart: true },
+  COCKPIT_LEADER_LOCK: { type: "enum", values: ["off", "file", "cockpit"], default: "off", restart: true },
+  COCKPIT_LEADER_LOCK_FILE: { type: "string", restart: true },
+  COCKPIT_LEADER_TTL_SEC: { type: "int", default: 60, min: 10, max: 3600, restart: true },
+  COCKPIT_INSTANCE_ID: { type: "string", restart: true },
+  COCKPIT_SHUTDOWN_TIMEOUT_SEC: { type: "int", default: 60, min: 1, max: 600 },
+};
+
+const SNOWFLAKE = /^\d{15,21}$/;
+
+// A digest time: "07:30" for the daily digest, "mon 07:30" for the weekly one, or "off".
+// Returns { weekday, minutes } (weekday null for daily), or null for "off".
+export function parseDigestTime(value, weekly) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (raw === "off" || raw === "") return null;
+
+  const m = /^(?:([a-z]{3})\s+)?(\d{1,2}):(\d{2})$/.exec(raw);
+  const day = m?.[1] ?? null;
+  if (!m || Number(m[2]) > 23 || Number(m[3]) > 59 || (weekly ? !WEEKDAYS.includes(day) : day)) {
+    throw new Error(`must look like "${weekly ? "mon 07:30" : "07:30"}" or "off", got "${raw}"`);
+  }
+  return { weekday: day, minutes: Number(m[2]) * 60 + Number(m[3]) };
+}
+
+// Returns an error message, or null when `value` (a non-empty string) fits the spec.
+function checkValue(spec, value) {
+  switch (spec.type) {
+    case "int": {
+      if (!/^-?\d+$/.test(value)) return `must be a whole number, got "${value}"`;
+      const n = Number(value);
+      if (n < spec.min || n > spec.max) return `must be between ${spec.min} and ${spec.max}, got ${n}`;
+      return null;
+    }
+    case "number": {
+      const n = Number(value);
+      if (!Number.isFinite(n)) return `must be a number, got "${value}"`;
+      if (n < spec.min || n > spec.max) return `must be between ${spec.min} and ${spec.max}, got ${n}`;
+      return null;
+    }
+    case "enum":
+      return spec.values.includes(value) ? null : `must be one of ${spec.values.join(", ")}, got "${value}"`;
+    case "snowflake":
+      return SNOWFLAKE.test(value) ? null : `must be a Discord id, got "${value}"`;
+    case "snowflakes": {
+      const bad = value.split(",").map((x) => x.trim()).filter((x) => x && !SNOWFLAKE.test(x));
+      return bad.length ? `must be comma-separated Discord ids, bad: ${bad.join(", ")}` : null;
+    }
+    case "url":
+      return /^https?:\/\/[^\s/]+/i.test(value) ? null : `must be an http(s) URL, got "${value}"`;
+    case "port":
+      if (value === "off") return null;
+      return /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 65535
+        ? null
+        : `must be a port number or "off", got "${value}"`;
+    case "timezone":
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return null;
+      } catch {
+        return `is not a known time zone: "${value}"`;
+      }
+    case "schedule":
+      try {
+        parseSchedule(value);
+        return null;
+      } catch (e) {
+        return `is not a valid schedule: ${e.message}`;
+      }
+    case "digest_at":
+      try {
+        parseDigestTime(value, spec.weekly);
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    case "windows":
+      try {
+        parseTimeWindows(value);
+        return null;
+      } catch (e) {
+        return `is not a valid list of time windows: ${e.message}`;
+      }
+    case "json":
+      try {
+        JSON.parse(value);
+        return null;
+      } catch (e) {
+        return `is not valid JSON: ${e.message}`;
+      }
+    default:
+      return spec.pattern && !spec.pattern.test(value) ? `has an unexpected format: "${value}"` : null;
+  }
+}
+
+// Fields of a COCKPIT_VERTICALS / COCKPIT_VERTICALS_FILE entry, checked like settings. A field
+// that is missing, null or "" falls back to the matching setting.
+export const VERTICAL_FIELDS = {
+  id: { type: "string", pattern: /^[a-z0-9_-]+$/i, required: true },
+  label: { type: "string" },
+  emoji: { type: "string" },
+  rawChannelId: { type: "snowflake" },
+  briefChannelId: { type: "snowflake" },
+  triageChannelId: { type: "snowflake" },
+  digestChannelId: { type: "snowflake" },
+  reviewChannelId: { type: "snowflake" },
+  triageRoleId: { type: "snowflake" },
+  escalationRoleId: { type: "snowflake" },
+  triageScore: { type: "int", min: 1, max: 100 },
+  threadScore: { type: "int", min: 0, max: 101 },
+  reviewBelow: { type: "int", min: 0, max: 101 },
+  suppressBelow: { type: "int", min: 0, max: 101 },
+  triageRemindMin: { type: "int", min: 0, max: 1440 },
+  triageEscalateMin: { type: "int", min: 0, max: 10080 },
+  triageTags: { type: "strings" },
+  triageKeywords: { type: "strings" },
+  publishWindows: { type: "windows" },
+  quietHours: { type: "windows" },
+  publishTz: { type: "timezone" },
+};
+
+function checkField(spec, v) {
+  if (v === undefined || v === null || v === "") return spec.required ? "is required" : null;
+  if (spec.type === "strings") {
+    return Array.isArray(v) && v.every((x) => typeof x === "string")
+      ? null
+      : "must be an array of strings";
+  }
+  if (spec.type === "windows" && Array.isArray(v)) return checkValue(spec, v);
+  if (typeof v === "object") return `must be a single value, got ${JSON.stringify(v)}`;
+  return checkValue(spec, String(v).trim());
+}
+
+// Every problem in a parsed verticals list, one line per bad field; empty when it's fine.
+export function checkVerticals(list) {
+  if (!Array.isArray(list) || list.length === 0) return ["must be a non-empty array"];
+
+  const errors = [];
+  const seen = new Set();
+  list.forEach((v, i) => {
+    const name = typeof v?.id === "string" && v.id.trim() ? v.id.trim() : `#${i}`;
+    if (!v || typeof v !== "object" || Array.isArray(v)) {
+      errors.push(`vertical ${name} must be an object`);
+      return;
+    }
+    for (const key of Object.keys(v)) {
+      if (!VERTICAL_FIELDS[key]) errors.push(`vertical ${name}: unknown field ${key}`);
+    }
+    for (const [key, spec] of Object.entries(VERTICAL_FIELDS)) {
+      const problem = checkField(spec, v[key]);
+      if (problem) errors.push(`vertical ${name}.${key} ${problem}`);
+    }
+    const id = String(v.id ?? "").trim().toLowerCase();
+    if (id && seen.has(id)) errors.push(`vertical ${name}: duplicate id`);
+    seen.add(id);
+  });
+  return errors;
+}
+
+// Config files hold plain values; JSON-typed settings may be given as objects/arrays.
+function fileValue(spec, v) {
+  if (v === null || v === undefined) return "";
+  if (spec.type === "json" && typeof v === "object") return JSON.stringify(v);
+  if (spec.type === "snowflakes" && Array.isArray(v)) return v.join(",");
+  return String(v).trim();
+}
+
+export async function readConfigFile(file) {
+  const text = await readFile(file, "utf8");
+
+  let data;
+  if (/\.ya?ml$/i.test(file)) {
+    try {
+      data = YAML.parse(text);
+    } catch (e) {
+      throw new Error(`${file}: invalid YAML: ${e.message}`);
+    }
+  } else {
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${file}: invalid JSON: ${e.message}`);
+    }
+  }
+
+  if (data === null || data === undefined) return {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${file}: expected an object of settings`);
+  }
+  return data;
+}
+
+// Merges env over file over schema defaults. Resolves to
+//   { values: { KEY: string }, origin: { KEY: "env"|"file"|"default"|"unset" }, errors: [string] }
+// Read values through settingValue.
+export function resolveSettings({ env, file = {} }) {
+  const values = {};
+  const origin = {};
+  const errors = [];
+
+  for (const key of Object.keys(file)) {
+    if (!SETTINGS[key]) errors.push(`${key}: unknown setting in config file`);
+  }
+
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    const fromEnv = String(env[key] ?? "").trim();
+    const fromFile = key in file ? fileValue(spec, file[key]) : "";
+
+    if (fromEnv) {
+      values[key] = fromEnv;
+      origin[key] = "env";
+    } else if (fromFile) {
+      values[key] = fromFile;
+      origin[key] = "file";
+    } else {
+      values[key] = spec.default === undefined ? "" : String(spec.default);
+      origin[key] = spec.default === undefined ? "unset" : "default";
+      continue;
+    }
+
+    const problem = checkValue(spec, values[key]);
+    if (problem) errors.push(`${key} (${origin[key]}) ${problem}`);
+  }
+
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    if (origin[key] !== "unset") continue;
+    const exempt = spec.requiredUnless?.some((k) => origin[k] === "env" || origin[k] === "file");
+    if (spec.required || (spec.requiredUnless && !exempt)) errors.push(`${key} is required`);
+  }
+
+  return { values, origin, errors };
+}
+
+// Typed read of a resolved setting: a number for int/number (and port, unless "off"), an array
+// for snowflakes, otherwise the string ("" when unset). Values were range-checked by
+// resolveSettings and defaults filled in, so callers use them as they are. An unknown key throws,
+// so a typo can't quietly read nothing.
+export function settingValue(values, key) {
+  const spec = SETTINGS[key];
+  if (!spec) throw new Error(`Unknown setting: ${key}`);
+  const raw = values[key] ?? "";
+  switch (spec.type) {
+    case "int":
+    case "number":
+      return raw === "" ? null : Number(raw);
+    case "port":
+      return raw === "off" || raw === "" ? "off" : Number(raw);
+    case "snowflakes":
+      return raw
+        .split(",")
+        .map((x) => x.trim())
+        .filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+export function displayValue(key, value) {
+  if (!value) return "(unset)";
+  if (SETTINGS[key]?.secret) return `•••• (${value.length} chars)`;
+  return value.length > 120 ? `${value.slice(0, 119)}…` : value;
+}
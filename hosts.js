@@ -0,0 +1,102 @@
+// Per-host politeness for outbound fetches: a concurrency cap and a minimum gap between request
+// starts for each host, plus back-off windows set from 429/503 responses.
+//
+// Limits are looked up by host suffix with "www." stripped, so "sec.gov" covers www.sec.gov and
+// efts.sec.gov; hosts without an entry get `defaults`.
+
+function normHost(host) {
+  return String(host || "").toLowerCase().replace(/^www\./, "");
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? Math.max(0, t - now) : null;
+}
+
+export function createHostLimiter({ limits = {}, defaults }) {
+  const table = Object.entries(limits).map(([host, l]) => [normHost(host), l]);
+  const buckets = new Map();
+
+  // Hosts under a configured entry share one budget (all of *.sec.gov counts against sec.gov).
+  function bucketFor(host) {
+    const h = normHost(host);
+    const hit = table
+      .filter(([k]) => h === k || h.endsWith(`.${k}`))
+      .sort((a, b) => b[0].length - a[0].length)[0];
+    return { key: hit?.[0] ?? h, limit: { ...defaults, ...(hit?.[1] ?? {}) } };
+  }
+
+  function stateFor(key) {
+    if (!buckets.has(key)) buckets.set(key, { active: 0, lastStartAt: 0, blockedUntil: 0, waiters: [] });
+    return buckets.get(key);
+  }
+
+  function wake(st) {
+    const waiters = st.waiters.splice(0);
+    for (const w of waiters) w();
+  }
+
+  // Resolves to a release() function once a slot is free. Rejects instead of waiting past
+  // maxWaitMs, so a host in a long back-off fails fast rather than stalling the caller.
+  async function acquire(host, { maxWaitMs = Infinity } = {}) {
+    const { key, limit: lim } = bucketFor(host);
+    const st = stateFor(key);
+    const deadline = Date.now() + maxWaitMs;
+
+    for (;;) {
+      const now = Date.now();
+      const readyAt = Math.max(st.lastStartAt + lim.minIntervalMs, st.blockedUntil);
+
+      if (st.active < lim.maxConcurrent && now >= readyAt) {
+        st.active += 1;
+        st.lastStartAt = now;
+        let released = false;
+        return () => {
+          if (released) return;
+          released = true;
+          st.active -= 1;
+          wake(st);
+        };
+      }
+
+      if (readyAt > deadline) {
+        throw new Error(`${key} backing off until ${new Date(readyAt).toISOString()}`);
+      }
+
+      // Sleep until the gap has passed, or until a release wakes us when we're at the cap.
+      const delay = st.active < lim.maxConcurrent ? readyAt - now : 1000;
+      await new Promise((resolve) => {
+        const t = setTimeout(resolve, Math.max(10, Math.min(delay, 1000)));
+        st.waiters.push(() => {
+          clearTimeout(t);
+          resolve();
+        });
+      });
+    }
+  }
+
+  function block(host, ms) {
+    const st = stateFor(bucketFor(host).key);
+    st.blockedUntil = Math.max(st.blockedUntil, Date.now() + ms);
+    wake(st);
+  }
+
+  return { acquire, block };
+}
+
+// Runs worker(item) over items with at most `concurrency` in flight; resolves when all settle.
+export async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const width = Math.max(1, Math.min(concurrency, items.length));
+  const lanes = Array.from({ length: width }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
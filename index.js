@@ -1,68 +1,191 @@
 import "dotenv/config";
-import { Client, GatewayIntentBits, Partials } from "discord.js";
-import { XMLParser } from "fast-xml-parser";
+import { mkdirSync, readFileSync, renameSync, watchFile, writeFileSync } from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  Client,
+  EmbedBuilder,
+  GatewayIntentBits,
+  MessageFlags,
+  Partials,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+  ThreadAutoArchiveDuration,
+} from "discord.js";
+import { pickAdapter } from "./adapters/index.js";
+import { isAmpUrl, isHttpUrl, isShortlink, stripTracking, unwrapRedirect } from "./canonical.js";
+import {
+  SETTINGS,
+  checkVerticals,
+  displayValue,
+  parseDigestTime,
+  readConfigFile,
+  resolveSettings,
+  settingValue,
+} from "./config.js";
+import { createHostLimiter, parseRetryAfter, runPool } from "./hosts.js";
+import { createFileLease, createLeaderElector } from "./leader.js";
+import { createLogger } from "./logger.js";
+import { createMetrics } from "./metrics.js";
+import { extractPageMeta } from "./pagemeta.js";
+import { evaluateRules, mergeFilterRules, parseRuleset } from "./rules.js";
+import { createScheduler, inTimeWindows, parseSchedule, parseTimeWindows } from "./scheduler.js";
+import { createClusterIndex } from "./similarity.js";
 
 function isoNow() {
   return new Date().toISOString();
 }
 
-function parseItemDate(item) {
-  const d =
-    item?.pubDate ??
-    item?.published ??
-    item?.updated ??
-    item?.["dc:date"] ??
-    null;
-
-  if (!d) return null;
-
-  const s = typeof d === "string" ? d : (d?.["#text"] ?? "");
-  const t = Date.parse(String(s));
-  return Number.isFinite(t) ? new Date(t) : null;
-}
-
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function mustEnv(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env var: ${name}`);
-  return v;
+// ---------- settings ----------
+// COCKPIT_CONFIG_FILE (JSON or YAML) supplies any setting not given as an env var; the merged
+// result is validated against config.js, and everything reads it through setting(), which
+// returns the validated, typed value with its schema default. See reloadSettings for hot reload.
+const CONFIG_FILE = process.env.COCKPIT_CONFIG_FILE || "";
+
+async function loadSettings() {
+  const file = CONFIG_FILE ? await readConfigFile(CONFIG_FILE) : {};
+  return resolveSettings({ env: process.env, file });
+}
+
+let settings = await loadSettings();
+if (settings.errors.length) {
+  throw new Error(`Invalid configuration:\n${settings.errors.map((e) => `  - ${e}`).join("\n")}`);
 }
 
-function getEnv(name, def = "") {
-  return process.env[name] || def;
+function setting(key) {
+  return settingValue(settings.values, key);
 }
 
-function clampInt(n, def, min, max) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return def;
-  return Math.max(min, Math.min(max, Math.floor(x)));
+function mustSetting(key) {
+  const v = setting(key);
+  if (!v) throw new Error(`Missing setting: ${key}`);
+  return v;
 }
 
 const CFG = {
-  token: mustEnv("DISCORD_BOT_TOKEN"),
-  apiBase: mustEnv("COCKPIT_API_BASE").replace(/\/$/, ""),
-  ingestSecret: mustEnv("COCKPIT_INGEST_SECRET"),
-  processUrl: getEnv("COCKPIT_PROCESS_URL", "").replace(/\/$/, ""),
-  processSecret: getEnv("COCKPIT_PROCESS_SECRET", ""),
+  token: mustSetting("DISCORD_BOT_TOKEN"),
+  apiBase: mustSetting("COCKPIT_API_BASE").replace(/\/$/, ""),
+  ingestSecret: mustSetting("COCKPIT_INGEST_SECRET"),
+  processUrl: setting("COCKPIT_PROCESS_URL").replace(/\/$/, ""),
+  processSecret: setting("COCKPIT_PROCESS_SECRET"),
   channels: {
-    reeRaw: mustEnv("REERAW_CHANNEL_ID"),
-    coalRaw: mustEnv("COALRAW_CHANNEL_ID"),
-    policyRaw: mustEnv("POLICYRAW_CHANNEL_ID"),
-    botLogs: mustEnv("BOTLOGS_CHANNEL_ID"),
-    reeBrief: getEnv("REEBRIEF_CHANNEL_ID", ""),
-    coalBrief: getEnv("COALBRIEF_CHANNEL_ID", ""),
-    triage: getEnv("TRIAGE_CHANNEL_ID", "1476283871208145087"),
+    botLogs: mustSetting("BOTLOGS_CHANNEL_ID"),
+    triage: setting("TRIAGE_CHANNEL_ID"),
+  },
+  commands: {
+    guildId: setting("DISCORD_GUILD_ID"),
+    roleIds: setting("COMMAND_ROLE_IDS"),
   },
 };
 
-const intakeMap = new Map([
-  [CFG.channels.reeRaw, { vertical: "ree" }],
-  [CFG.channels.coalRaw, { vertical: "coal" }],
-  [CFG.channels.policyRaw, { vertical: "policy" }],
-]);
+// ---------- vertical registry ----------
+// COCKPIT_VERTICALS (inline JSON) or COCKPIT_VERTICALS_FILE (path to JSON) holds an array like
+//   [{ "id": "lithium", "label": "Lithium", "emoji": "🔋", "rawChannelId": "…",
+//      "briefChannelId": "…", "triageChannelId": "…", "triageScore": 85, "threadScore": 70,
+//      "digestChannelId": "…", "reviewChannelId": "…", "reviewBelow": 70, "suppressBelow": 40,
+//      "triageTags": ["offtake"], "triageKeywords": ["DoD award"], "triageRoleId": "…",
+//      "escalationRoleId": "…", "triageRemindMin": 30, "triageEscalateMin": 120,
+//      "publishWindows": "mon-fri 07:00-20:00", "quietHours": "12:00-13:00", "publishTz": "…" }]
+// Without either, the legacy REE/Coal/Policy env vars are used. `threadScore` is the minimum score
+// for a brief to get its own discussion thread: 0 threads every brief, 101 (the default) none.
+// Items scoring under `suppressBelow` are never posted; items under `reviewBelow` wait in the
+// review channel for a human. Both default to 0 (publish everything). Triage fires on the score
+// threshold or on any of `triageTags` / `triageKeywords`; roles and timings fall back to the
+// COCKPIT_TRIAGE_ROLE_ID, COCKPIT_ESCALATION_ROLE_ID, COCKPIT_TRIAGE_REMIND_MIN and
+// COCKPIT_TRIAGE_ESCALATE_MIN env vars. New briefs (and their triage alerts) are only posted inside
+// `publishWindows` (if set) and outside `quietHours`, read in `publishTz`; defaults come from
+// COCKPIT_PUBLISH_WINDOWS, COCKPIT_QUIET_HOURS and COCKPIT_PUBLISH_TZ. Fields are checked against
+// VERTICAL_FIELDS (config.js) and startup fails listing every bad one.
+function legacyVerticals() {
+  return [
+    {
+      id: "ree",
+      label: "REE",
+      rawChannelId: mustSetting("REERAW_CHANNEL_ID"),
+      briefChannelId: setting("REEBRIEF_CHANNEL_ID"),
+    },
+    {
+      id: "coal",
+      label: "Coal",
+      rawChannelId: mustSetting("COALRAW_CHANNEL_ID"),
+      briefChannelId: setting("COALBRIEF_CHANNEL_ID"),
+    },
+    {
+      id: "policy",
+      label: "Policy",
+      rawChannelId: mustSetting("POLICYRAW_CHANNEL_ID"),
+      briefChannelId: setting("POLICYBRIEF_CHANNEL_ID"),
+    },
+  ];
+}
+
+function readVerticalsConfig() {
+  const inline = setting("COCKPIT_VERTICALS");
+  const file = setting("COCKPIT_VERTICALS_FILE");
+  if (!inline && !file) return null;
+
+  const text = inline || readFileSync(file, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid verticals config (${inline ? "COCKPIT_VERTICALS" : file}): ${e.message}`);
+  }
+}
+
+function loadVerticals() {
+  const raw = readVerticalsConfig() ?? legacyVerticals();
+  const errors = checkVerticals(raw);
+  if (errors.length) {
+    throw new Error(`Invalid verticals config:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+
+  // Fields were checked above; unset ones take the setting.
+  const str = (x) => String(x ?? "").trim();
+  const num = (x, key) => (x === undefined || x === null || x === "" ? setting(key) : Number(x));
+  const strings = (list) => (list ?? []).map((x) => x.trim()).filter(Boolean);
+
+  return raw.map((v) => {
+    const id = str(v.id).toLowerCase();
+    return {
+      id,
+      label: str(v.label) || id.toUpperCase(),
+      emoji: str(v.emoji) || "🟣",
+      rawChannelId: str(v.rawChannelId),
+      briefChannelId: str(v.briefChannelId),
+      triageChannelId: str(v.triageChannelId) || CFG.channels.triage,
+      triageScore: num(v.triageScore, "COCKPIT_TRIAGE_SCORE"),
+      threadScore: num(v.threadScore, "COCKPIT_BRIEF_THREAD_SCORE"),
+      digestChannelId: str(v.digestChannelId) || setting("COCKPIT_DIGEST_CHANNEL_ID"),
+      reviewChannelId: str(v.reviewChannelId) || setting("COCKPIT_REVIEW_CHANNEL_ID"),
+      reviewBelow: num(v.reviewBelow, "COCKPIT_REVIEW_BELOW"),
+      suppressBelow: num(v.suppressBelow, "COCKPIT_SUPPRESS_BELOW"),
+      triageTags: strings(v.triageTags).map((t) => t.toLowerCase()),
+      triageKeywords: strings(v.triageKeywords),
+      triageRoleId: str(v.triageRoleId) || setting("COCKPIT_TRIAGE_ROLE_ID"),
+      escalationRoleId: str(v.escalationRoleId) || setting("COCKPIT_ESCALATION_ROLE_ID"),
+      triageRemindMin: num(v.triageRemindMin, "COCKPIT_TRIAGE_REMIND_MIN"),
+      triageEscalateMin: num(v.triageEscalateMin, "COCKPIT_TRIAGE_ESCALATE_MIN"),
+      publishWindows: parseTimeWindows(v.publishWindows ?? setting("COCKPIT_PUBLISH_WINDOWS")),
+      quietHours: parseTimeWindows(v.quietHours ?? setting("COCKPIT_QUIET_HOURS")),
+      publishTz: str(v.publishTz) || setting("COCKPIT_PUBLISH_TZ"),
+    };
+  });
+}
+
+const VERTICALS = loadVerticals();
+const verticalById = new Map(VERTICALS.map((v) => [v.id, v]));
+
+const intakeMap = new Map(
+  VERTICALS.filter((v) => v.rawChannelId).map((v) => [v.rawChannelId, { vertical: v.id }])
+);
 
 const client = new Client({
   intents: [
@@ -81,14 +204,18 @@ function extractUrls(text) {
   return [...new Set(matches.map((u) => u.trim()))];
 }
 
-async function logToBotLogs(msg) {
-  try {
+// COCKPIT_LOG_LEVEL filters stdout, COCKPIT_DISCORD_LOG_LEVEL ("off" to disable) what reaches
+// the bot-logs channel; COCKPIT_LOG_DEDUP_MIN is the window for collapsing repeated warnings.
+const log = createLogger({
+  level: setting("COCKPIT_LOG_LEVEL"),
+  discordLevel: setting("COCKPIT_DISCORD_LOG_LEVEL"),
+  dedupWindowMs: setting("COCKPIT_LOG_DEDUP_MIN") * 60 * 1000,
+  sendToDiscord: async (text) => {
+    if (!client.isReady()) return;
     const ch = await client.channels.fetch(CFG.channels.botLogs);
-    if (ch && ch.isTextBased()) await ch.send(msg);
-  } catch {
-    // ignore logging failures
-  }
-}
+    if (ch?.isTextBased()) await ch.send({ content: clip(text, 2000), allowedMentions: { parse: [] } });
+  },
+});
 
 async function fetchTextChannel(channelId) {
   if (!channelId) return null;
@@ -97,12 +224,16 @@ async function fetchTextChannel(channelId) {
   return null;
 }
 
-function fmtTags(tags) {
-  if (!Array.isArray(tags) || tags.length === 0) return "";
-  const cleaned = tags
+function cleanTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return tags
     .map((t) => String(t || "").trim())
     .filter(Boolean)
     .slice(0, 6);
+}
+
+function fmtTags(tags) {
+  const cleaned = cleanTags(tags);
   return cleaned.length ? `\n**Tags:** ${cleaned.join(", ")}` : "";
 }
 
@@ -116,62 +247,390 @@ function fmtBullets(bullets) {
   return cleaned.map((b) => `• ${b.replace(/^\s*[-•]\s*/, "").trim()}`).join("\n");
 }
 
-function buildBriefMessage(item, verticalLabel) {
-  const score = Number(item?.relevance_score ?? 0);
+function clip(s, max) {
+  const x = String(s ?? "");
+  return x.length > max ? x.slice(0, max - 1) + "…" : x;
+}
+
+function scoreBar(score) {
+  const filled = Math.max(0, Math.min(10, Math.round(score / 10)));
+  return `${"▰".repeat(filled)}${"▱".repeat(10 - filled)} **${score}**/100`;
+}
+
+function scoreColor(score) {
+  if (score >= 80) return 0x2ecc71;
+  if (score >= 60) return 0xf1c40f;
+  if (score >= 40) return 0xe67e22;
+  return 0x95a5a6;
+}
+
+const FEEDBACK_KINDS = {
+  useful: { label: "Useful", emoji: "👍", style: ButtonStyle.Success },
+  not_relevant: { label: "Not relevant", emoji: "👎", style: ButtonStyle.Secondary },
+  wrong_vertical: { label: "Wrong vertical", emoji: "🔀", style: ButtonStyle.Secondary },
+};
+
+function feedbackRow(processedItemId) {
+  return new ActionRowBuilder().addComponents(
+    Object.entries(FEEDBACK_KINDS).map(([kind, k]) =>
+      new ButtonBuilder()
+        .setCustomId(`fb:${kind}:${processedItemId}`)
+        .setLabel(k.label)
+        .setEmoji(k.emoji)
+        .setStyle(k.style)
+    )
+  );
+}
+
+const ALSO_REPORTED_FIELD = "Also reported by";
+
+// links: [{ name, url }] from later items in the same story cluster.
+function fmtAlsoReported(links) {
+  if (!Array.isArray(links) || !links.length) return "";
+  return clip(links.map((l) => `• [${clip(l.name, 60)}](${l.url})`).join("\n"), 1024);
+}
+
+// Items submitted in a raw channel carry the poster and the intake message; briefs credit them.
+function intakeCredit(item) {
+  const get = (k) => String(item?.[k] ?? item?.metadata?.[k] ?? "").trim();
+  if ((item?.source ?? item?.metadata?.source) !== "discord") return null;
+  const authorId = get("author_id");
+  if (!/^\d+$/.test(authorId)) return null;
+
+  const channelId = get("source_channel_id");
+  const messageId = get("source_message_id");
+  const guildId = client.channels.cache.get(channelId)?.guildId ?? CFG.commands.guildId;
+  const link =
+    guildId && /^\d+$/.test(channelId) && /^\d+$/.test(messageId)
+      ? `https://discord.com/channels/${guildId}/${channelId}/${messageId}`
+      : "";
+  return { authorId, link };
+}
+
+function fmtCredit(credit) {
+  return `<@${credit.authorId}>` + (credit.link ? ` · [original post](${credit.link})` : "");
+}
+
+// Returns a message payload ({ embeds, components }) ready for channel.send().
+function buildBriefMessage(item, vertical) {
+  const score = Number(item?.relevance_score ?? 0) || 0;
   const title = String(item?.title ?? "").trim() || "(untitled)";
   const summary = String(item?.summary_1 ?? "").trim();
   const why = String(item?.why_it_matters ?? "").trim();
   const url = String(item?.url ?? "").trim();
+  const sourceName = String(item?.metadata?.source_name ?? item?.source_name ?? "").trim();
 
   const bulletsBlock = fmtBullets(item?.bullets);
-  const tagsBlock = fmtTags(item?.tags);
-
-  const header = `🟣 **${verticalLabel} Brief** | Score: **${score}**`;
-  const parts = [
-    header,
-    `\n**${title}**`,
-    summary ? `\n${summary}` : "",
-    bulletsBlock ? `\n${bulletsBlock}` : "",
-    why ? `\n**Why it matters:** ${why}` : "",
-    tagsBlock,
-    url ? `\n**Source:** ${url}` : "",
-  ].filter(Boolean);
-
-  let msg = parts.join("\n");
-  if (msg.length > 1900) {
-    const shortBullets = bulletsBlock
-      ? bulletsBlock.split("\n").slice(0, 3).join("\n")
-      : "";
-    const parts2 = [
-      header,
-      `\n**${title}**`,
-      summary ? `\n${summary}` : "",
-      shortBullets ? `\n${shortBullets}` : "",
-      why ? `\n**Why it matters:** ${why}` : "",
-      url ? `\n**Source:** ${url}` : "",
-    ].filter(Boolean);
-    msg = parts2.join("\n");
+  const tags = cleanTags(item?.tags);
+
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: `${vertical.emoji} ${vertical.label} Brief` })
+    .setTitle(clip(title, 256))
+    .setColor(scoreColor(score))
+    .addFields({ name: "Score", value: scoreBar(score) });
+
+  if (/^https?:\/\//i.test(url)) embed.setURL(url);
+  if (summary) embed.addFields({ name: "Summary", value: clip(summary, 1024) });
+  if (bulletsBlock) embed.addFields({ name: "Key points", value: clip(bulletsBlock, 1024) });
+  if (why) embed.addFields({ name: "Why it matters", value: clip(why, 1024) });
+
+  const also = fmtAlsoReported(item?.also_reported);
+  if (also) embed.addFields({ name: ALSO_REPORTED_FIELD, value: also });
+
+  const credit = intakeCredit(item);
+  if (credit) embed.addFields({ name: "Found by", value: fmtCredit(credit) });
+
+  const footer = [sourceName, tags.length ? `Tags: ${tags.join(", ")}` : ""].filter(Boolean);
+  if (footer.length) embed.setFooter({ text: clip(footer.join(" • "), 2048) });
+
+  const id = Number(item?.id);
+  const components = Number.isFinite(id) && id > 0 ? [feedbackRow(id)] : [];
+
+  return { embeds: [embed], components };
+}
+
+// ---------- local state ----------
+// Small JSON files under COCKPIT_STATE_DIR for things that must survive a restart.
+const STATE_DIR = setting("COCKPIT_STATE_DIR");
+
+function readState(name, def) {
+  try {
+    return JSON.parse(readFileSync(path.join(STATE_DIR, `${name}.json`), "utf8"));
+  } catch {
+    return def;
+  }
+}
+
+function writeState(name, data) {
+  mkdirSync(STATE_DIR, { recursive: true });
+  const file = path.join(STATE_DIR, `${name}.json`);
+  writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+  renameSync(`${file}.tmp`, file);
+}
+
+// ---------- loop status ----------
+const loopStatus = {
+  rss: { label: "RSS", lastRunAt: null, ok: null, result: "not run yet" },
+  process: { label: "Processor", lastRunAt: null, ok: null, result: "not run yet" },
+  publish: { label: "Publisher", lastRunAt: null, ok: null, result: "not run yet" },
+  digest: { label: "Digest", lastRunAt: null, ok: null, result: "not run yet" },
+};
+
+// `healthy` is what /healthz looks at: a run where some feeds or verticals failed still counts,
+// as long as the loop itself got through.
+function recordLoop(name, ok, result, healthy = ok) {
+  const s = loopStatus[name];
+  if (!s) return;
+  s.lastRunAt = isoNow();
+  s.ok = ok;
+  s.result = String(result ?? "");
+  if (healthy) s.lastHealthyAt = Date.now();
+  loopRuns.inc({ loop: name, result: ok ? "ok" : "error" });
+}
+
+// ---------- health & metrics ----------
+// COCKPIT_HEALTH_PORT (default 8080, "off" to disable) serves /healthz and /metrics. /healthz
+// is 503 when the gateway is down, the process is shutting down, or a loop has missed
+// COCKPIT_HEALTH_STALE_INTERVALS (default 3) scheduled runs in a row without a healthy one; runs
+// a schedule doesn't call for (nights, weekends) don't count. Standby instances don't run the
+// loops, so only the gateway counts for them.
+const startedAt = Date.now();
+const metrics = createMetrics();
+
+const loopRuns = metrics.counter("cockpit_loop_runs_total", "Loop runs by result");
+const feedItems = metrics.counter(
+  "cockpit_feed_items_total",
+  "Feed items by source and outcome (fetched, ingested, skipped)"
+);
+const feedErrors = metrics.counter("cockpit_feed_poll_errors_total", "Failed feed polls by source");
+const briefsPublished = metrics.counter("cockpit_briefs_published_total", "Briefs posted by vertical");
+const apiLatency = metrics.summary(
+  "cockpit_api_request_duration_seconds",
+  "Cockpit API request latency by endpoint"
+);
+const apiErrors = metrics.counter(
+  "cockpit_api_errors_total",
+  "Cockpit API requests that failed, by endpoint and status"
+);
+metrics.gauge("cockpit_discord_gateway_ready", "1 when the Discord gateway is connected", () => [
+  { value: client.isReady() ? 1 : 0 },
+]);
+metrics.gauge("cockpit_discord_gateway_ping_ms", "Discord gateway heartbeat latency", () =>
+  client.ws.ping >= 0 ? [{ value: client.ws.ping }] : []
+);
+metrics.gauge(
+  "cockpit_loop_last_healthy_timestamp_seconds",
+  "Unix time of each loop's last healthy run",
+  () =>
+    Object.entries(loopStatus)
+      .filter(([, st]) => st.lastHealthyAt)
+      .map(([loop, st]) => ({ labels: { loop }, value: Math.floor(st.lastHealthyAt / 1000) }))
+);
+
+// Every call to the Cockpit API goes through here so latency and errors are counted per endpoint.
+async function cockpitFetch(url, init) {
+  const endpoint = new URL(url).pathname;
+  const started = performance.now();
+  try {
+    const res = await fetch(url, init);
+    if (!res.ok) apiErrors.inc({ endpoint, status: String(res.status) });
+    return res;
+  } catch (e) {
+    apiErrors.inc({ endpoint, status: "network" });
+    throw e;
+  } finally {
+    apiLatency.observe({ endpoint }, (performance.now() - started) / 1000);
+  }
+}
+
+function healthReport() {
+  const staleIntervals = setting("COCKPIT_HEALTH_STALE_INTERVALS");
+  const jitterMs = setting("COCKPIT_SCHEDULE_JITTER_SEC") * 1000;
+  const now = Date.now();
+  const jobs = new Map(scheduler.list().map((j) => [j.name, j]));
+
+  const role = isLeader() ? "leader" : "standby";
+  const loops = {};
+  for (const name of ["process", "publish", "rss"]) {
+    if (role === "standby") break;
+    if (name === "process" && !CFG.processUrl) continue;
+    const st = loopStatus[name];
+    // A fresh leader (just started, or just took over from another instance) gets the same
+    // number of runs to complete its first one.
+    const since = Math.max(st.lastHealthyAt ?? 0, leaderSince ?? startedAt);
+    const deadline = scheduler.upcoming(name, since, staleIntervals).at(-1);
+    const nextAt = jobs.get(name)?.nextAt;
+    loops[name] = {
+      ok: deadline === undefined || now <= deadline + jitterMs,
+      lastHealthyAt: st.lastHealthyAt ? new Date(st.lastHealthyAt).toISOString() : null,
+      lastResult: st.result,
+      schedule: jobs.get(name)?.schedule,
+      nextRunAt: nextAt ? new Date(nextAt).toISOString() : null,
+    };
+  }
+
+  const discord = { ready: client.isReady(), ping: client.ws.ping };
+  const ok = !shuttingDown && discord.ready && Object.values(loops).every((l) => l.ok);
+  return { ok, role, discord, loops };
+}
+
+function startHealthServer() {
+  const port = setting("COCKPIT_HEALTH_PORT");
+  if (port === "off") return null;
+
+  const server = http.createServer((req, res) => {
+    const route = (req.url ?? "").split("?")[0];
+    if (req.method === "GET" && route === "/healthz") {
+      const report = healthReport();
+      res.writeHead(report.ok ? 200 : 503, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(report));
+    } else if (req.method === "GET" && route === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(metrics.render());
+    } else {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("not found\n");
+    }
+  });
+
+  server.on("error", (e) => log.error(`🔥 Health server error: ${e.message}`, { port }));
+  server.listen(port, () => log.info(`Health server listening on :${port}`, { port }));
+  return server;
+}
+
+// ---------- URL canonicalization ----------
+// The same article arrives with tracking params, behind redirectors, as shortlinks or AMP pages.
+// Both ingest paths send the canonical URL as `url` and what we were given as `original_url`.
+// COCKPIT_CANONICAL_FETCH=off keeps this offline (no shortlink or AMP lookups).
+async function resolveShortlink(url) {
+  const headers = { "User-Agent": defaultUserAgent() };
+  const opts = { timeoutMs: 8000, retries: 0, maxWaitMs: 10_000 };
+  let cur = url;
+
+  for (let hop = 0; hop < 5; hop += 1) {
+    let res = await politeFetch(cur, { method: "HEAD", redirect: "manual", headers }, opts);
+    if (res.status === 405 || res.status === 403) {
+      res = await politeFetch(cur, { method: "GET", redirect: "manual", headers }, opts);
+    }
+    await res.body?.cancel().catch(() => {});
+
+    const loc = res.headers.get("location");
+    if (res.status < 300 || res.status >= 400 || !loc) return cur;
+    cur = new URL(loc, cur).toString();
+    if (!isShortlink(cur)) return cur;
+  }
+  return cur;
+}
+
+// `page` is article metadata we already fetched (enrichment); its canonical URL wins.
+async function canonicalizeUrl(url, { page = null } = {}) {
+  const original = String(url || "").trim();
+  const network = setting("COCKPIT_CANONICAL_FETCH") !== "off";
+  let cur = stripTracking(original);
+
+  for (let i = 0; i < 5; i += 1) {
+    const inner = unwrapRedirect(cur);
+    if (inner && isHttpUrl(inner)) {
+      cur = stripTracking(inner);
+      continue;
+    }
+    if (network && isShortlink(cur)) {
+      const next = stripTracking(await resolveShortlink(cur).catch(() => cur));
+      if (next !== cur) {
+        cur = next;
+        continue;
+      }
+    }
+    break;
   }
-  if (msg.length > 1900) msg = msg.slice(0, 1890) + "…";
-  return msg;
+
+  let canonical = page?.canonical || pageMetaCache.get(cur)?.meta.canonical || "";
+  if (!canonical && network && isAmpUrl(cur)) {
+    canonical = await fetchPageMeta(cur)
+      .then((m) => m.canonical)
+      .catch(() => "");
+  }
+  if (canonical && isHttpUrl(canonical)) cur = stripTracking(canonical);
+
+  return { url: cur, original };
+}
+
+// ---------- story clustering ----------
+// The same story lands from the SEC filing, the ASX announcement and several outlets. Titles are
+// clustered across all sources over a rolling window (persisted in the state dir); the cluster id
+// goes to Cockpit with the ingest, and the publisher folds later cluster members into the first
+// brief as "also reported by" links. COCKPIT_CLUSTERING=off disables it.
+const clusterWindowMs = setting("COCKPIT_CLUSTER_WINDOW_HOURS") * 60 * 60 * 1000;
+
+const storyClusters = createClusterIndex({
+  entries: readState("story-clusters", []),
+  windowMs: clusterWindowMs,
+  minScore: setting("COCKPIT_CLUSTER_MIN_SCORE"),
+});
+
+function clusterFeedItem(src, item) {
+  if (setting("COCKPIT_CLUSTERING") === "off") return null;
+  return storyClusters.assign({
+    title: item.title,
+    url: item.link,
+    sourceId: src.id,
+    vertical: src.vertical,
+  });
+}
+
+// Discord intake only has a URL, so the title to cluster on comes from the page (see ingestOne).
+function clusterDiscordItem({ title, url, vertical, channelId }) {
+  if (setting("COCKPIT_CLUSTERING") === "off" || !title) return null;
+  const cluster = storyClusters.assign({
+    title,
+    url,
+    sourceId: `discord:${channelId}`,
+    vertical,
+  });
+  if (cluster) saveStoryClusters();
+  return cluster;
+}
+
+function saveStoryClusters() {
+  storyClusters.prune();
+  writeState("story-clusters", storyClusters.toJSON());
 }
 
 // ---------- ingestion ----------
-async function ingestOne({ url, vertical, message }) {
-  const res = await fetch(`${CFG.apiBase}/api/ingest`, {
+// `message` only needs channelId/id/author, so slash commands can pass a stand-in.
+async function ingestOne({ url, vertical, message, metadata = {} }) {
+  // One page fetch serves both rel=canonical (COCKPIT_CANONICAL_FETCH) and the title to cluster
+  // on (COCKPIT_CLUSTERING with COCKPIT_ENRICH); with both off, nothing is fetched.
+  const wantCanonical = setting("COCKPIT_CANONICAL_FETCH") !== "off";
+  const wantTitle = setting("COCKPIT_CLUSTERING") !== "off" && setting("COCKPIT_ENRICH") !== "off";
+  const page =
+    wantCanonical || wantTitle ? await fetchPageMeta(stripTracking(url)).catch(() => null) : null;
+  const canon = await canonicalizeUrl(url, { page: wantCanonical ? page : null });
+  const cluster = clusterDiscordItem({
+    title: wantTitle ? page?.title : "",
+    url: canon.url,
+    vertical,
+    channelId: message.channelId,
+  });
+  const meta = cluster
+    ? { ...metadata, cluster_id: cluster.clusterId, duplicate_of_url: cluster.matched?.url ?? null }
+    : metadata;
+  const res = await cockpitFetch(`${CFG.apiBase}/api/ingest`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
       "x-cockpit-secret": CFG.ingestSecret,
     },
     body: JSON.stringify({
-      url,
+      url: canon.url,
+      original_url: canon.original,
       vertical,
       source: "discord",
       source_channel_id: message.channelId,
-      source_message_id: message.id,
+      source_message_id: message.id ?? null,
       author_id: message.author?.id ?? null,
       author_username: message.author?.username ?? null,
+      ...(Object.keys(meta).length ? { metadata: meta } : {}),
       posted_at: new Date().toISOString(),
     }),
   });
@@ -184,22 +643,179 @@ async function ingestOne({ url, vertical, message }) {
   return res.json().catch(() => ({}));
 }
 
+// Uploads a Discord attachment (PDF deck, government report…) to Cockpit as a document.
+async function ingestDocument({ attachment, vertical, message, metadata = {} }) {
+  const maxBytes = setting("COCKPIT_DOC_MAX_BYTES");
+  if (Number(attachment.size) > maxBytes) {
+    throw new Error(`${attachment.name} is ${attachment.size} bytes (max ${maxBytes})`);
+  }
+
+  const dl = await fetch(attachment.url);
+  if (!dl.ok) throw new Error(`Attachment download failed ${dl.status}: ${attachment.name}`);
+  const blob = await dl.blob();
+
+  const form = new FormData();
+  form.append("file", blob, attachment.name);
+  form.append(
+    "payload",
+    JSON.stringify({
+      vertical,
+      source: "discord",
+      source_channel_id: message.channelId,
+      source_message_id: message.id ?? null,
+      author_id: message.author?.id ?? null,
+      author_username: message.author?.username ?? null,
+      filename: attachment.name,
+      content_type: attachment.contentType ?? blob.type ?? null,
+      size: blob.size,
+      discord_url: attachment.url,
+      metadata,
+      posted_at: new Date().toISOString(),
+    })
+  );
+
+  const res = await cockpitFetch(`${CFG.apiBase}/api/ingest/document`, {
+    method: "POST",
+    headers: { "x-cockpit-secret": CFG.ingestSecret },
+    body: form,
+  });
+
+  if (!res.ok) {
+    const body = await res.text().catch(() => "");
+    throw new Error(`Document ingest failed ${res.status}: ${body.slice(0, 300)}`);
+  }
+
+  return res.json().catch(() => ({}));
+}
+
+// ---------- discord intake ----------
+// Besides links in the message text, intake picks up links in embeds, in the message being
+// replied to, and in forwarded messages, plus document attachments. Inline directives:
+//   #coal       file under another vertical (must be a registry id)
+//   !priority   any !word is passed along as a flag; "priority" also sets priority=true
+// Whatever text is left after stripping links and directives is sent as the note.
+const DOC_EXTENSIONS = new Set(
+  setting("COCKPIT_DOC_EXTENSIONS")
+    .split(",")
+    .map((x) => x.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+function isDocumentAttachment(a) {
+  const ext = String(a?.name ?? "").toLowerCase().split(".").pop();
+  return DOC_EXTENSIONS.has(ext);
+}
+
+// author.url is left out: on link previews it's the site's or author's profile page.
+function embedText(embed) {
+  return [
+    embed?.url,
+    embed?.title,
+    embed?.description,
+    ...(embed?.fields ?? []).map((f) => `${f.name} ${f.value}`),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function parseDirectives(text) {
+  let vertical = null;
+  const flags = [];
+
+  const rest = String(text || "")
+    .replace(/https?:\/\/[^\s<>()]+/g, " ")
+    .replace(/(^|\s)#([a-z][a-z0-9_-]*)\b/gi, (m, pre, word) => {
+      const id = word.toLowerCase();
+      if (!verticalById.has(id)) return m;
+      vertical = id;
+      return pre;
+    })
+    .replace(/(^|\s)!([a-z][a-z0-9_-]*)\b/gi, (m, pre, word) => {
+      flags.push(word.toLowerCase());
+      return pre;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return { vertical, flags: [...new Set(flags)], note: rest.slice(0, 1000) };
+}
+
+// Forwarded messages arrive as snapshots; depending on the discord.js version the content sits
+// on the snapshot itself or on its .message.
+function snapshotParts(message) {
+  const snaps = message.messageSnapshots ? [...message.messageSnapshots.values()] : [];
+  return snaps.map((snap) => snap?.message ?? snap);
+}
+
+// Resolves to { urls: [{ url, origin }], attachments: [{ attachment, origin }], directives }.
+async function collectIntake(message) {
+  const urls = new Map();
+  const attachments = new Map();
+
+  // Link previews repeat the message's own link, often without its tracking params or trailing
+  // slash, so links are compared after that cleanup.
+  const seen = new Set();
+  const add = (url, origin) => {
+    const key = stripTracking(url).replace(/\/$/, "");
+    if (seen.has(key)) return;
+    seen.add(key);
+    urls.set(url, origin);
+  };
+
+  const addFrom = (m, origin) => {
+    if (!m) return;
+    for (const url of extractUrls(m.content)) add(url, origin);
+    for (const e of m.embeds ?? []) {
+      for (const url of extractUrls(embedText(e))) add(url, `${origin}_embed`);
+    }
+    for (const a of m.attachments?.values?.() ?? []) {
+      if (isDocumentAttachment(a) && !attachments.has(a.id)) {
+        attachments.set(a.id, { attachment: a, origin });
+      }
+    }
+  };
+
+  addFrom(message, "message");
+  for (const snap of snapshotParts(message)) addFrom(snap, "forward");
+
+  // Plain replies: pick up the links of the message being replied to.
+  if (message.reference?.messageId && !snapshotParts(message).length) {
+    const ref = await message.fetchReference().catch(() => null);
+    addFrom(ref, "reply");
+  }
+
+  return {
+    urls: [...urls.entries()].map(([url, origin]) => ({ url, origin })),
+    attachments: [...attachments.values()],
+    directives: parseDirectives(message.content),
+  };
+}
+
 // ---------- processor loop ----------
+let processorRunning = false;
+
 async function runProcessorOnce() {
+  if (processorRunning) return;
+  processorRunning = true;
+
   try {
-    const base = mustEnv("COCKPIT_PROCESS_URL").replace(/\/$/, "");
-    const secret = mustEnv("COCKPIT_PROCESS_SECRET");
-    const limit = clampInt(process.env.COCKPIT_PROCESS_LIMIT || 20, 20, 1, 50);
+    const base = mustSetting("COCKPIT_PROCESS_URL").replace(/\/$/, "");
+    const secret = mustSetting("COCKPIT_PROCESS_SECRET");
+    const limit = setting("COCKPIT_PROCESS_LIMIT");
 
     const url = `${base}?secret=${encodeURIComponent(secret)}&limit=${encodeURIComponent(
       String(limit)
     )}`;
 
-    const res = await fetch(url, { method: "GET" });
+    const res = await cockpitFetch(url, { method: "GET" });
     const text = await res.text();
 
     if (!res.ok) {
-      await logToBotLogs(`⚠️ Process run failed (${res.status}): ${text.slice(0, 400)}`);
+      recordLoop("process", false, `HTTP ${res.status}`);
+      await log.warn(
+        `⚠️ Process run failed (${res.status}): ${text.slice(0, 400)}`,
+        { loop: "process", status: res.status }
+      );
       return;
     }
 
@@ -207,31 +823,39 @@ async function runProcessorOnce() {
     try {
       json = JSON.parse(text);
     } catch {
-      await logToBotLogs(`⚠️ Process returned non-JSON: ${text.slice(0, 400)}`);
+      recordLoop("process", false, "non-JSON response");
+      await log.warn(`⚠️ Process returned non-JSON: ${text.slice(0, 400)}`, { loop: "process" });
       return;
     }
 
     const processed = json?.processed ?? 0;
     const picked = json?.picked ?? 0;
+    recordLoop("process", true, `picked=${picked} processed=${processed}`);
 
     if (picked > 0 || processed > 0) {
-      await logToBotLogs(`🧠 Process run: picked=${picked}, processed=${processed}`);
+      await log.info(
+        `🧠 Process run: picked=${picked}, processed=${processed}`,
+        { loop: "process", picked, processed }
+      );
     }
   } catch (e) {
-    await logToBotLogs(`🔥 Process runner crash: ${String(e?.message ?? e)}`);
+    recordLoop("process", false, String(e?.message ?? e));
+    await log.error(`🔥 Process runner crash: ${String(e?.message ?? e)}`, { loop: "process" });
+  } finally {
+    processorRunning = false;
   }
 }
 
 // ---------- publisher loop ----------
-const publishLocks = { ree: false, coal: false };
+const publishLocks = Object.fromEntries(VERTICALS.map((v) => [v.id, false]));
 
 async function fetchUnposted(vertical, limit) {
-  const secret = mustEnv("COCKPIT_PROCESS_SECRET");
+  const secret = mustSetting("COCKPIT_PROCESS_SECRET");
   const url = `${CFG.apiBase}/api/brief/unposted?vertical=${encodeURIComponent(
     vertical
   )}&limit=${encodeURIComponent(String(limit))}`;
 
-  const res = await fetch(url, { method: "GET", headers: { "x-cockpit-secret": secret } });
+  const res = await cockpitFetch(url, { method: "GET", headers: { "x-cockpit-secret": secret } });
   const txt = await res.text();
 
   if (!res.ok) throw new Error(`unposted fetch failed ${res.status}: ${txt.slice(0, 300)}`);
@@ -246,14 +870,15 @@ async function fetchUnposted(vertical, limit) {
   return Array.isArray(json?.items) ? json.items : [];
 }
 
-async function markPosted(ids) {
+// `posts` carries the Discord message ids for each processed item so Cockpit can link them.
+async function markPosted(ids, posts = []) {
   if (!ids || ids.length === 0) return 0;
 
-  const secret = mustEnv("COCKPIT_PROCESS_SECRET");
-  const res = await fetch(`${CFG.apiBase}/api/brief/mark-posted`, {
+  const secret = mustSetting("COCKPIT_PROCESS_SECRET");
+  const res = await cockpitFetch(`${CFG.apiBase}/api/brief/mark-posted`, {
     method: "POST",
     headers: { "Content-Type": "application/json", "x-cockpit-secret": secret },
-    body: JSON.stringify({ ids }),
+    body: JSON.stringify({ ids, posts }),
   });
 
   const txt = await res.text();
@@ -267,134 +892,1314 @@ async function markPosted(ids) {
   }
 }
 
-async function publishVerticalOnce(vertical) {
-  if (publishLocks[vertical]) return;
-  publishLocks[vertical] = true;
-
-  try {
-    const limit = clampInt(process.env.COCKPIT_PUBLISH_LIMIT || 5, 5, 1, 10);
+// Publish journal: one entry per processed item between "about to send" and "Cockpit knows".
+//   status "sending" -> intent recorded, Discord send may or may not have happened
+//   status "sent"    -> brief is in Discord, mark-posted still owed
+// Entries are dropped once mark-posted succeeds.
+const publishJournal = readState("publish-journal", {});
 
-    let channelId = "";
-    let label = "";
+function saveJournal() {
+  writeState("publish-journal", publishJournal);
+}
 
-    if (vertical === "ree") {
-      channelId = CFG.channels.reeBrief;
-      label = "REE";
-    } else if (vertical === "coal") {
-      channelId = CFG.channels.coalBrief;
-      label = "Coal";
-    } else {
-      return;
+function briefIdOfMessage(m) {
+  if (m?.author?.id !== client.user?.id) return null;
+  for (const row of m.components ?? []) {
+    for (const c of row.components ?? []) {
+      const hit = /^fb:[a-z_]+:(\d+)$/.exec(c.customId ?? "");
+      if (hit) return Number(hit[1]);
     }
+  }
+  return null;
+}
 
-    if (!channelId) return;
+// Maps processed_item_id -> message id for the bot's recent briefs in a channel.
+async function recentBriefMessages(ch) {
+  const out = new Map();
+  if (!ch) return out;
+  const limit = setting("COCKPIT_RECONCILE_SCAN");
+  const msgs = await ch.messages.fetch({ limit });
+  for (const m of msgs.values()) {
+    const id = briefIdOfMessage(m);
+    if (id && !out.has(id)) out.set(id, m.id);
+  }
+  return out;
+}
 
-    const items = await fetchUnposted(vertical, limit);
-    if (!items.length) return;
+function publishNonce(id, kind) {
+  // Discord nonces are capped at 25 chars.
+  return `${kind}${id}-${Date.now().toString(36)}`.slice(0, 25);
+}
 
-    const ch = await fetchTextChannel(channelId);
-    if (!ch) throw new Error(`Brief channel not text-based: ${channelId}`);
+async function publishItem({ item, id, v, ch, triageCh, sentBriefs, sentTriage }) {
+  let entry = publishJournal[id];
+  if (!entry) {
+    entry = publishJournal[id] = {
+      id,
+      vertical: v.id,
+      status: "sending",
+      nonce: publishNonce(id, "b"),
+      channelId: ch.id,
+      messageId: null,
+      triageChannelId: triageCh?.id ?? null,
+      triageMessageId: null,
+      threadId: null,
+      startedAt: isoNow(),
+    };
+    saveJournal();
+  }
 
-    const triageCh = await fetchTextChannel(CFG.channels.triage);
+  const msg = buildBriefMessage(item, v);
 
-    const TRIAGE_SCORE = clampInt(process.env.COCKPIT_TRIAGE_SCORE, 85, 1, 100);
+  let sentMsg = null;
+  if (!entry.messageId) entry.messageId = sentBriefs.get(id) ?? null;
+  if (!entry.messageId) {
+    sentMsg = await ch.send({ ...msg, nonce: entry.nonce, enforceNonce: true });
+    entry.messageId = sentMsg.id;
+  }
+  entry.status = "sent";
+  saveJournal();
 
-    for (const item of items) {
-      const id = Number(item?.id);
-      if (!Number.isFinite(id) || id <= 0) continue;
+  const score = Number(item?.relevance_score ?? 0);
+  if (Number.isFinite(score) && score >= v.threadScore && !entry.threadId) {
+    await openBriefThread({ item, id, entry, message: sentMsg });
+  }
 
-      const msg = buildBriefMessage(item, label) + `\n<${item.url}>`;
+  const reason = triageReason(item, v);
+  if (triageCh && reason && !entry.triageMessageId) {
+    entry.triageMessageId = sentTriage.get(id) ?? null;
+    if (!entry.triageMessageId) {
+      try {
+        const role = v.triageRoleId ? ` <@&${v.triageRoleId}>` : "";
+        const sent = await triageCh.send({
+          content: `🚨 **High-signal ${v.label}** (Score: **${score}** · ${reason})${role}`,
+          ...msg,
+          components: [...msg.components, ackRow(id)],
+          allowedMentions: { roles: v.triageRoleId ? [v.triageRoleId] : [] },
+          nonce: publishNonce(id, "t"),
+          enforceNonce: true,
+        });
+        entry.triageMessageId = sent.id;
+        await log.info(
+          `🚨 Triage posted ${v.id} processed_item_id=${id} (${reason})`,
+          { loop: "publish", vertical: v.id, item_id: id }
+        );
+      } catch (e) {
+        // The brief is out; a missing triage copy must not cause a duplicate brief.
+        await log.warn(
+          `⚠️ Triage send failed processed_item_id=${id}: ${String(e?.message ?? e)}`,
+          { loop: "publish", vertical: v.id, item_id: id }
+        );
+      }
+    }
+    if (entry.triageMessageId) {
+      trackTriageAlert({ id, v, channelId: triageCh.id, messageId: entry.triageMessageId });
+    }
+    saveJournal();
+  }
 
-      await ch.send(msg);
+  return entry;
+}
 
-      const score = Number(item?.relevance_score ?? 0);
-      if (triageCh && Number.isFinite(score) && score >= TRIAGE_SCORE) {
-        await triageCh.send(`🚨 **High-signal ${label}** (Score: **${score}**)\n\n${msg}`);
-        await logToBotLogs(`🚨 Triage posted ${vertical} processed_item_id=${id} score=${score}`);
-      }
+// One discussion thread per brief keeps analyst chatter out of the brief channel. The submitter
+// (for items from a raw channel) is mentioned in it, which also adds them to the thread.
+async function openBriefThread({ item, id, entry, message }) {
+  try {
+    const m = message ?? (await fetchMessageOrNull(entry.channelId, entry.messageId));
+    if (!m) return;
+
+    let thread = m.thread ?? null;
+    if (!thread) {
+      const title = String(item?.title ?? "").trim() || `Brief ${id}`;
+      thread = await m.startThread({
+        name: clip(title, 100),
+        autoArchiveDuration: ThreadAutoArchiveDuration.ThreeDays,
+        reason: `Discussion for processed_item_id=${id}`,
+      });
 
-      await markPosted([id]);
-      await logToBotLogs(`📣 Posted ${vertical} processed_item_id=${id}`);
+      const credit = intakeCredit(item);
+      if (credit) {
+        await thread.send({
+          content: `🙌 Found by ${fmtCredit(credit)}`,
+          allowedMentions: { users: [credit.authorId] },
+        });
+      }
     }
+
+    entry.threadId = thread.id;
+    saveJournal();
   } catch (e) {
-    await logToBotLogs(`🔥 Publisher crash (${vertical}): ${String(e?.message ?? e)}`);
-  } finally {
-    publishLocks[vertical] = false;
+    // The brief is out; a missing thread is cosmetic.
+    await log.warn(
+      `⚠️ Thread open failed processed_item_id=${id}: ${String(e?.message ?? e)}`,
+      { loop: "publish", vertical: entry.vertical, item_id: id }
+    );
   }
 }
 
-async function runPublisherOnce() {
-  await publishVerticalOnce("ree");
-  await publishVerticalOnce("coal");
-}
-
-// ---------- RSS helpers ----------
-const rssParser = new XMLParser({
-  ignoreAttributes: false,
-  attributeNamePrefix: "@_",
-});
+// Briefs already posted per `${vertical}:${cluster_id}`, so later members of the story can be
+// attached to them instead of getting their own brief.
+const postedClusters = readState("posted-clusters", {});
 
-function normLink(s) {
-  const x = String(s || "").trim();
-  if (!x) return "";
-  return x.replace(/^<|>$/g, "");
+function savePostedClusters() {
+  const cutoff = Date.now() - clusterWindowMs;
+  for (const [k, rec] of Object.entries(postedClusters)) {
+    if (rec.at < cutoff) delete postedClusters[k];
+  }
+  writeState("posted-clusters", postedClusters);
 }
 
-function pickRssItems(parsed) {
-  const channel = parsed?.rss?.channel;
-  if (channel?.item) return Array.isArray(channel.item) ? channel.item : [channel.item];
-
-  const feed = parsed?.feed;
-  if (feed?.entry) return Array.isArray(feed.entry) ? feed.entry : [feed.entry];
+function itemClusterId(item) {
+  return String(item?.cluster_id ?? item?.metadata?.cluster_id ?? "").trim();
+}
 
-  return [];
+function itemSourceLabel(item) {
+  const name = String(item?.metadata?.source_name ?? item?.source_name ?? "").trim();
+  if (name) return name;
+  try {
+    return new URL(item.url).hostname.replace(/^www\./, "");
+  } catch {
+    return "source";
+  }
 }
 
-function getItemKey(item) {
-  const guid = item?.guid?.["#text"] ?? item?.guid;
-  const id = item?.id;
-  const link =
-    typeof item?.link === "string"
-      ? item.link
-      : item?.link?.["@_href"] ?? item?.link?.href ?? "";
-  const title = item?.title?.["#text"] ?? item?.title ?? "";
+function postedClusterForMessage(messageId) {
+  return Object.values(postedClusters).find((r) => r.messageId === messageId) ?? null;
+}
 
-  const key = String(guid || id || link || title).trim();
-  return key ? key.slice(0, 500) : "";
+// Within a batch, the highest-scoring member of each cluster goes first so it becomes the brief.
+function orderByCluster(items) {
+  const best = new Map();
+  for (const item of items) {
+    const cid = itemClusterId(item);
+    if (!cid) continue;
+    const cur = best.get(cid);
+    if (!cur || Number(item.relevance_score ?? 0) > Number(cur.relevance_score ?? 0)) {
+      best.set(cid, item);
+    }
+  }
+  const leaders = items.filter((i) => !itemClusterId(i) || best.get(itemClusterId(i)) === i);
+  return [...leaders, ...items.filter((i) => !leaders.includes(i))];
 }
 
-function getItemLink(item) {
-  if (typeof item?.link === "string") return normLink(item.link);
+async function attachToCluster({ item, id, v, rec }) {
+  let entry = publishJournal[id];
+  if (!entry) {
+    entry = publishJournal[id] = {
+      id,
+      vertical: v.id,
+      status: "sent",
+      nonce: null,
+      channelId: rec.channelId,
+      messageId: rec.messageId,
+      triageChannelId: null,
+      triageMessageId: null,
+      duplicateOf: rec.primaryId,
+      startedAt: isoNow(),
+    };
+    saveJournal();
+  }
 
-  const l = item?.link;
-  if (Array.isArray(l)) {
-    const alt = l.find((x) => x?.["@_rel"] === "alternate") || l[0];
-    return normLink(alt?.["@_href"] || alt?.href || "");
+  const url = String(item?.url ?? "").trim();
+  if (url && !rec.also.some((a) => a.url === url)) {
+    rec.also.push({ name: itemSourceLabel(item), url });
+    savePostedClusters();
   }
-  return normLink(l?.["@_href"] || l?.href || "");
-}
 
-async function cockpitGet(path) {
-  const secret = mustEnv("COCKPIT_PROCESS_SECRET");
-  const res = await fetch(`${CFG.apiBase}${path}`, {
-    method: "GET",
-    headers: { "x-cockpit-secret": secret },
-  });
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`GET ${path} failed ${res.status}: ${txt.slice(0, 300)}`);
-  return JSON.parse(txt);
+  try {
+    const m = await fetchMessageOrNull(rec.channelId, rec.messageId);
+    if (m?.embeds?.[0]) {
+      const embed = EmbedBuilder.from(m.embeds[0]);
+      const fields = (m.embeds[0].fields ?? []).filter((f) => f.name !== ALSO_REPORTED_FIELD);
+      embed.setFields(...fields, { name: ALSO_REPORTED_FIELD, value: fmtAlsoReported(rec.also) });
+      await m.edit({ embeds: [embed] });
+    }
+  } catch (e) {
+    // The item is still covered by the existing brief; only the link list is stale.
+    await log.warn(
+      `⚠️ Couldn't add also-reported link to ${rec.messageId}: ${String(e?.message ?? e)}`,
+      { loop: "publish", vertical: v.id, item_id: id }
+    );
+  }
+  return entry;
 }
 
-async function cockpitPost(path, body) {
-  const secret = mustEnv("COCKPIT_PROCESS_SECRET");
-  const res = await fetch(`${CFG.apiBase}${path}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "x-cockpit-secret": secret },
-    body: JSON.stringify(body),
-  });
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`POST ${path} failed ${res.status}: ${txt.slice(0, 300)}`);
-  return JSON.parse(txt);
+async function confirmPosted(entry) {
+  await markPosted(
+    [entry.id],
+    [
+      {
+        id: entry.id,
+        channel_id: entry.channelId,
+        message_id: entry.messageId,
+        triage_channel_id: entry.triageMessageId ? entry.triageChannelId : null,
+        triage_message_id: entry.triageMessageId,
+        thread_id: entry.threadId ?? null,
+      },
+    ]
+  );
+  delete publishJournal[entry.id];
+  saveJournal();
+}
+
+// ---------- triage alerts ----------
+// Why an item goes to triage, or null: the score threshold, a configured tag, or a keyword in
+// the title / summary / why-it-matters.
+function triageReason(item, v) {
+  const score = Number(item?.relevance_score ?? 0);
+  if (Number.isFinite(score) && score >= v.triageScore) return `score ≥ ${v.triageScore}`;
+
+  const tag = cleanTags(item?.tags).find((t) => v.triageTags.includes(t.toLowerCase()));
+  if (tag) return `tag "${tag}"`;
+
+  const text = [item?.title, item?.summary_1, item?.why_it_matters].join(" ").toLowerCase();
+  const kw = v.triageKeywords.find((k) => text.includes(k.toLowerCase()));
+  return kw ? `keyword "${kw}"` : null;
+}
+
+function ackRow(processedItemId, ackedBy = null) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`ack:${processedItemId}`)
+      .setLabel(ackedBy ? `Acknowledged by ${clip(ackedBy, 60)}` : "Acknowledge")
+      .setEmoji("🫡")
+      .setStyle(ackedBy ? ButtonStyle.Secondary : ButtonStyle.Primary)
+      .setDisabled(Boolean(ackedBy))
+  );
+}
+
+// Unacknowledged alerts by processed_item_id. Reminders re-ping the triage role every
+// triageRemindMin (at most COCKPIT_TRIAGE_MAX_REMINDERS times); after triageEscalateMin the
+// escalation role is pinged once. A window of 0 disables that step.
+const triageAlerts = readState("triage-alerts", {});
+
+function saveTriageAlerts() {
+  writeState("triage-alerts", triageAlerts);
+}
+
+function trackTriageAlert({ id, v, channelId, messageId }) {
+  if (triageAlerts[id]) return;
+  triageAlerts[id] = {
+    id,
+    vertical: v.id,
+    channelId,
+    messageId,
+    postedAt: Date.now(),
+    lastPingAt: Date.now(),
+    reminders: 0,
+    escalatedAt: null,
+  };
+  saveTriageAlerts();
+}
+
+async function runTriageRemindersOnce() {
+  const maxReminders = setting("COCKPIT_TRIAGE_MAX_REMINDERS");
+  const now = Date.now();
+
+  for (const a of Object.values(triageAlerts)) {
+    const v = verticalById.get(a.vertical);
+    if (!v || now - a.postedAt > 7 * 24 * 60 * 60 * 1000) {
+      delete triageAlerts[a.id];
+      saveTriageAlerts();
+      continue;
+    }
+
+    const ageMin = Math.floor((now - a.postedAt) / 60000);
+    let content = null;
+    let role = null;
+
+    if (v.escalationRoleId && v.triageEscalateMin && !a.escalatedAt && ageMin >= v.triageEscalateMin) {
+      role = v.escalationRoleId;
+      content = `🔺 Unacknowledged for ${ageMin}m — escalating <@&${role}>`;
+      a.escalatedAt = now;
+    } else if (
+      v.triageRemindMin &&
+      a.reminders < maxReminders &&
+      now - a.lastPingAt >= v.triageRemindMin * 60000
+    ) {
+      role = v.triageRoleId || null;
+      content = `⏰ Still unacknowledged after ${ageMin}m${role ? ` <@&${role}>` : ""}`;
+      a.reminders += 1;
+    }
+    if (!content) continue;
+
+    a.lastPingAt = now;
+    saveTriageAlerts();
+    try {
+      const m = await fetchMessageOrNull(a.channelId, a.messageId);
+      if (!m) {
+        delete triageAlerts[a.id];
+        saveTriageAlerts();
+        continue;
+      }
+      await m.reply({ content, allowedMentions: { roles: role ? [role] : [], repliedUser: false } });
+    } catch (e) {
+      await log.warn(
+        `⚠️ Triage reminder failed processed_item_id=${a.id}: ${String(e?.message ?? e)}`,
+        { loop: "triage", vertical: a.vertical, item_id: a.id }
+      );
+    }
+  }
+}
+
+async function handleAckButton(interaction) {
+  const id = Number(interaction.customId.split(":")[1]);
+  if (!Number.isFinite(id)) return;
+  const user = interaction.user;
+
+  try {
+    await cockpitPost("/api/brief/triage-ack", {
+      processed_item_id: id,
+      user_id: user.id,
+      username: user.username,
+      channel_id: interaction.channelId,
+      message_id: interaction.message?.id ?? null,
+      acknowledged_at: isoNow(),
+    });
+
+    const rows = (interaction.message?.components ?? [])
+      .filter((row) => !row.components?.some((c) => c.customId?.startsWith("ack:")))
+      .map((row) => ActionRowBuilder.from(row));
+    await interaction.update({
+      content: `${interaction.message.content}\n🫡 Acknowledged by <@${user.id}> <t:${Math.floor(Date.now() / 1000)}:R>`,
+      components: [...rows, ackRow(id, user.username)],
+      allowedMentions: { parse: [] },
+    });
+
+    delete triageAlerts[id];
+    saveTriageAlerts();
+    await log.info(
+      `🫡 Triage processed_item_id=${id} acknowledged by ${user.username}`,
+      { loop: "triage", item_id: id, user_id: user.id }
+    );
+  } catch (e) {
+    const err = String(e?.message ?? e);
+    await log.warn(
+      `⚠️ Acknowledge failed processed_item_id=${id}: ${err}`,
+      { loop: "triage", item_id: id }
+    );
+    await interaction
+      .reply({ content: "⚠️ Couldn't record the acknowledgement, try again.", flags: MessageFlags.Ephemeral })
+      .catch(() => {});
+  }
+}
+
+// ---------- review queue ----------
+// Mid-score items wait in the vertical's review channel with Approve / Reject / Move buttons
+// instead of being published; low-score items are suppressed. Every decision is reported to
+// Cockpit, which stops offering the item as unposted. Items in review are kept locally so an
+// approval can post the brief without another round-trip; an item missing locally (state dir
+// lost, new host) is fetched from Cockpit when its button is clicked.
+//
+// A decision is stored on the entry (`decision`) before it is reported, and the entry is only
+// dropped once Cockpit has it. A failed report is retried by the publisher on its own, so an
+// approval never posts the brief twice.
+const reviewQueue = readState("review-queue", {});
+const reviewBusy = new Set();
+
+function saveReviewQueue() {
+  writeState("review-queue", reviewQueue);
+}
+
+// "publish" | "review" | "suppress"
+function reviewGate(item, v) {
+  const score = Number(item?.relevance_score ?? 0) || 0;
+  if (score < v.suppressBelow) return "suppress";
+  if (v.reviewChannelId && score < v.reviewBelow) return "review";
+  return "publish";
+}
+
+async function recordReviewDecision({ id, vertical, decision, toVertical = null, user = null, entry = null }) {
+  return cockpitPost("/api/brief/review", {
+    processed_item_id: id,
+    vertical,
+    decision,
+    to_vertical: toVertical,
+    user_id: user?.id ?? null,
+    username: user?.username ?? null,
+    channel_id: entry?.channelId ?? null,
+    message_id: entry?.messageId ?? null,
+    created_at: isoNow(),
+  });
+}
+
+function reviewRows(id, v) {
+  const rows = [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`rv:approve:${id}`)
+        .setLabel("Approve")
+        .setEmoji("✅")
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`rv:reject:${id}`)
+        .setLabel("Reject")
+        .setEmoji("🗑️")
+        .setStyle(ButtonStyle.Danger)
+    ),
+  ];
+
+  const others = VERTICALS.filter((o) => o.id !== v.id).slice(0, 20);
+  for (let i = 0; i < others.length; i += 5) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        others.slice(i, i + 5).map((o) =>
+          new ButtonBuilder()
+            .setCustomId(`rv:move:${id}:${o.id}`)
+            .setLabel(`Move to ${o.label}`)
+            .setEmoji("🔀")
+            .setStyle(ButtonStyle.Secondary)
+        )
+      )
+    );
+  }
+  return rows;
+}
+
+async function holdItem({ item, id, v, gate }) {
+  const score = Number(item?.relevance_score ?? 0) || 0;
+
+  if (gate === "suppress") {
+    await recordReviewDecision({ id, vertical: v.id, decision: "suppressed" });
+    await log.info(
+      `🔇 Suppressed ${v.id} processed_item_id=${id} score=${score}`,
+      { loop: "publish", vertical: v.id, item_id: id, score }
+    );
+    return;
+  }
+
+  // Already waiting (Cockpit missed the "queued" decision last time): just report it again.
+  let entry = reviewQueue[id];
+  if (entry?.decision) return; // decided; the publisher retries the report
+  if (!entry) {
+    const ch = await fetchTextChannel(v.reviewChannelId);
+    const sent = await ch.send({
+      content: `🧐 **Review ${v.label}** (Score: **${score}**)`,
+      embeds: buildBriefMessage(item, v).embeds,
+      components: reviewRows(id, v),
+    });
+    entry = reviewQueue[id] = {
+      id,
+      vertical: v.id,
+      item,
+      channelId: ch.id,
+      messageId: sent.id,
+      queuedAt: isoNow(),
+    };
+    saveReviewQueue();
+  }
+
+  await recordReviewDecision({ id, vertical: v.id, decision: "queued", entry });
+  await log.info(
+    `🧐 Queued ${v.id} processed_item_id=${id} for review score=${score}`,
+    { loop: "publish", vertical: v.id, item_id: id, score }
+  );
+}
+
+// Waits for the vertical's publisher run to finish, then holds its lock for `fn`, so approvals
+// don't race publishVerticalOnce and shutdown waits for them (see inFlightWork).
+async function withPublishLock(vertical, fn) {
+  while (publishLocks[vertical]) await sleep(250);
+  publishLocks[vertical] = true;
+  try {
+    return await fn();
+  } finally {
+    publishLocks[vertical] = false;
+  }
+}
+
+async function approveReviewed(entry) {
+  const v = verticalById.get(entry.vertical);
+  if (!v?.briefChannelId) throw new Error(`${entry.vertical} has no brief channel`);
+  return withPublishLock(v.id, () => publishReviewed(entry, v));
+}
+
+async function publishReviewed(entry, v) {
+  const ch = await fetchTextChannel(v.briefChannelId);
+  const triageCh = await fetchTextChannel(v.triageChannelId);
+  // Same reconciliation as publishVerticalOnce: a brief already in the channel is reused.
+  const posted = await publishItem({
+    item: entry.item,
+    id: entry.id,
+    v,
+    ch,
+    triageCh,
+    sentBriefs: await recentBriefMessages(ch),
+    sentTriage: await recentBriefMessages(triageCh),
+  });
+  briefsPublished.inc({ vertical: v.id });
+  try {
+    await confirmPosted(posted);
+  } catch (e) {
+    // The journal entry stays "sent"; the publisher retries mark-posted.
+    await log.warn(
+      `⚠️ mark-posted failed processed_item_id=${entry.id}: ${String(e?.message ?? e)}`,
+      { loop: "review", vertical: v.id, item_id: entry.id }
+    );
+  }
+  await notifyWatchers(entry.item, v, posted);
+  return posted;
+}
+
+// Reports entry.decision to Cockpit and drops the entry once it's recorded.
+async function settleReviewDecision(entry) {
+  const d = entry.decision;
+  await recordReviewDecision({
+    id: entry.id,
+    vertical: entry.vertical,
+    decision: d.decision,
+    toVertical: d.toVertical ?? null,
+    user: d.user,
+    entry: { channelId: d.channelId, messageId: d.messageId },
+  });
+  delete reviewQueue[entry.id];
+  saveReviewQueue();
+}
+
+async function retryReviewDecisions(vertical) {
+  for (const entry of Object.values(reviewQueue)) {
+    if (entry.vertical !== vertical || !entry.decision) continue;
+    try {
+      await settleReviewDecision(entry);
+      await log.info(
+        `🧐 Recorded earlier review ${entry.decision.decision} processed_item_id=${entry.id}`,
+        { loop: "review", vertical, item_id: entry.id }
+      );
+    } catch (e) {
+      await log.warn(
+        `⚠️ Review decision retry failed processed_item_id=${entry.id}: ${String(e?.message ?? e)}`,
+        { loop: "review", vertical, item_id: entry.id }
+      );
+    }
+  }
+}
+
+// Rebuilds a queue entry from Cockpit, or null when Cockpit no longer has the item in review.
+// The vertical is the one whose review channel the button is in.
+async function recoverReviewEntry(interaction, id) {
+  const v = VERTICALS.find((x) => x.reviewChannelId && x.reviewChannelId === interaction.channelId);
+  if (!v) return null;
+  const out = await cockpitGet(`/api/brief/item?id=${encodeURIComponent(String(id))}`);
+  const item = out?.item;
+  if (!item || item.review_status !== "queued") return null;
+
+  const entry = (reviewQueue[id] = {
+    id,
+    vertical: v.id,
+    item,
+    channelId: interaction.channelId,
+    messageId: interaction.message?.id ?? null,
+    queuedAt: item.queued_at ?? isoNow(),
+  });
+  saveReviewQueue();
+  return entry;
+}
+
+async function handleReviewButton(interaction) {
+  const [, action, rawId, target] = interaction.customId.split(":");
+  const id = Number(rawId);
+  const deny = (content) => {
+    const reply = { content, flags: MessageFlags.Ephemeral };
+    return (interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply)).catch(
+      () => {}
+    );
+  };
+
+  if (!canUseCommands(interaction)) return deny("⛔ You don't have a role that can review briefs.");
+  if (!Number.isFinite(id)) return deny("⚠️ This review button isn't recognised.");
+  if (reviewBusy.has(id)) return deny("⏳ Someone is already handling this item.");
+  reviewBusy.add(id);
+
+  const user = interaction.user;
+  let entry = reviewQueue[id];
+  try {
+    // Publishing (or fetching the item from Cockpit) can take longer than Discord's 3s window.
+    await interaction.deferUpdate();
+
+    if (!entry) entry = await recoverReviewEntry(interaction, id);
+    if (!entry || entry.decision) return deny("This item has already been reviewed.");
+
+    let decision;
+    let outcome;
+    if (action === "approve") {
+      const posted = await approveReviewed(entry);
+      decision = { decision: "approved", channelId: posted.channelId, messageId: posted.messageId };
+      outcome = `✅ Approved by <@${user.id}>`;
+    } else if (action === "reject") {
+      decision = { decision: "rejected" };
+      outcome = `🗑️ Rejected by <@${user.id}>`;
+    } else if (action === "move" && verticalById.has(target)) {
+      decision = { decision: "moved", toVertical: target };
+      outcome = `🔀 Moved to ${verticalById.get(target).label} by <@${user.id}>`;
+    } else {
+      return deny("⚠️ This review button isn't recognised.");
+    }
+
+    entry.decision = {
+      channelId: entry.channelId,
+      messageId: entry.messageId,
+      ...decision,
+      user: { id: user.id, username: user.username },
+    };
+    saveReviewQueue();
+
+    await interaction.editReply({ content: outcome, components: [], allowedMentions: { parse: [] } });
+    await log.info(
+      `🧐 Review ${action} processed_item_id=${id} by ${user.username}`,
+      { loop: "review", vertical: entry.vertical, item_id: id, user_id: user.id }
+    );
+
+    try {
+      await settleReviewDecision(entry);
+    } catch (e) {
+      const err = String(e?.message ?? e);
+      await log.warn(
+        `⚠️ Review ${action} not recorded in Cockpit yet processed_item_id=${id}: ${err}`,
+        { loop: "review", vertical: entry.vertical, item_id: id }
+      );
+    }
+  } catch (e) {
+    const err = String(e?.message ?? e);
+    await log.warn(
+      `⚠️ Review ${action} failed processed_item_id=${id}: ${err}`,
+      { loop: "review", vertical: entry?.vertical ?? null, item_id: id }
+    );
+    await deny(`⚠️ ${err.slice(0, 300)}`);
+  } finally {
+    reviewBusy.delete(id);
+  }
+}
+
+// ---------- watchlists ----------
+// Per-user subscriptions, kept locally: { [userId]: [{ kind: "keyword"|"ticker"|"tag", value }] }.
+// Each newly posted brief is matched against them and matching users get a compact DM copy.
+const WATCH_KINDS = ["keyword", "ticker", "tag"];
+const watchlists = readState("watchlists", {});
+
+function saveWatchlists() {
+  writeState("watchlists", watchlists);
+}
+
+function normWatchTerm(kind, value) {
+  const v = String(value ?? "").trim().replace(/\s+/g, " ");
+  if (kind === "ticker") return v.toUpperCase().replace(/^[A-Z]+:/, "").replace(/^\$/, "");
+  return v.toLowerCase();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function briefWatchText(item) {
+  return [item?.title, item?.summary_1, item?.why_it_matters, ...(Array.isArray(item?.bullets) ? item.bullets : [])]
+    .map((x) => String(x ?? ""))
+    .join("\n");
+}
+
+// Keywords match whole words case-insensitively; tickers match case-sensitively, optionally
+// exchange-prefixed ("ASX:LYC", "$MP"); tags match the brief's tags exactly.
+function watchMatches(term, text, tags) {
+  if (term.kind === "tag") return tags.includes(term.value);
+  if (term.kind === "ticker") {
+    const re = new RegExp(`(^|[^A-Za-z0-9])(?:[A-Z]+:|\\$)?${escapeRegExp(term.value)}(?![A-Za-z0-9])`);
+    return re.test(text) || tags.includes(term.value.toLowerCase());
+  }
+  return new RegExp(`(^|\\W)${escapeRegExp(term.value)}(?!\\w)`, "i").test(text);
+}
+
+function briefLink(channelId, messageId) {
+  const guildId = client.channels.cache.get(channelId)?.guildId ?? CFG.commands.guildId;
+  return guildId ? `https://discord.com/channels/${guildId}/${channelId}/${messageId}` : "";
+}
+
+async function notifyWatchers(item, v, entry) {
+  const text = briefWatchText(item);
+  const tags = cleanTags(item?.tags).map((t) => t.toLowerCase());
+
+  for (const [userId, terms] of Object.entries(watchlists)) {
+    const hits = terms.filter((t) => watchMatches(t, text, tags)).map((t) => t.value);
+    if (!hits.length) continue;
+
+    const title = String(item?.title ?? "").trim() || "(untitled)";
+    const url = String(item?.url ?? "").trim();
+    const link = briefLink(entry.channelId, entry.messageId);
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: `${v.emoji} ${v.label} · watching ${clip(hits.join(", "), 200)}` })
+      .setTitle(clip(title, 256))
+      .setColor(scoreColor(Number(item?.relevance_score ?? 0) || 0));
+    if (/^https?:\/\//i.test(url)) embed.setURL(url);
+    const summary = String(item?.summary_1 ?? "").trim();
+    const body = [clip(summary, 500), link ? `[Open brief](${link})` : ""].filter(Boolean).join("\n\n");
+    if (body) embed.setDescription(body);
+
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send({ embeds: [embed] });
+    } catch (e) {
+      // Usually DMs closed; the brief itself is unaffected.
+      await log.warn(
+        `⚠️ Watchlist DM to ${userId} failed processed_item_id=${item?.id}: ${String(e?.message ?? e)}`,
+        { loop: "publish", vertical: v.id, item_id: item?.id, user_id: userId }
+      );
+    }
+  }
+}
+
+// ---------- brief edits / retractions ----------
+// Cockpit's change feed lists briefs re-scored, corrected or retracted after posting, along
+// with the message ids we reported via mark-posted. A per-vertical cursor is kept locally.
+// A change that keeps failing (Missing Access, an archived thread, a malformed change) is
+// retried BRIEF_CHANGE_MAX_ATTEMPTS times, then skipped so it can't hold back the ones after it.
+const briefChangeCursors = readState("brief-change-cursors", {});
+const briefChangeFailures = readState("brief-change-failures", {});
+const BRIEF_CHANGE_MAX_ATTEMPTS = 5;
+
+async function fetchBriefChanges(vertical, limit) {
+  const since = briefChangeCursors[vertical] ?? "";
+  const out = await cockpitGet(
+    `/api/brief/changes?vertical=${encodeURIComponent(vertical)}&since=${encodeURIComponent(
+      since
+    )}&limit=${encodeURIComponent(String(limit))}`
+  );
+  return {
+    changes: Array.isArray(out?.changes) ? out.changes : [],
+    cursor: out?.cursor ?? null,
+  };
+}
+
+async function fetchMessageOrNull(channelId, messageId) {
+  if (!channelId || !messageId) return null;
+  const ch = await fetchTextChannel(channelId).catch(() => null);
+  if (!ch) return null;
+  try {
+    return await ch.messages.fetch(messageId);
+  } catch (e) {
+    if (e?.code === 10008) return null; // Unknown Message: already deleted
+    throw e;
+  }
+}
+
+function retractedPayload(m, reason) {
+  const old = m.embeds?.[0];
+  const embed = old ? EmbedBuilder.from(old) : new EmbedBuilder();
+  const title = String(old?.title ?? "").replace(/^~~|~~$/g, "");
+  embed
+    .setAuthor({ name: `⛔ Retracted${old?.author?.name ? ` — ${old.author.name}` : ""}` })
+    .setColor(0x4f545c)
+    .setDescription(`**Retracted:** ${clip(reason || "removed from Cockpit", 300)}`);
+  if (title) embed.setTitle(clip(`~~${title}~~`, 256));
+  return { content: m.content ? `~~${m.content}~~` : "", embeds: [embed], components: [] };
+}
+
+async function applyBriefChange(change, v) {
+  const kind = String(change?.change ?? "");
+  const targets = [
+    { channelId: change?.channel_id, messageId: change?.message_id, triage: false },
+    { channelId: change?.triage_channel_id, messageId: change?.triage_message_id, triage: true },
+  ];
+
+  let touched = 0;
+  for (const t of targets) {
+    const m = await fetchMessageOrNull(t.channelId, t.messageId);
+    if (!m) continue;
+
+    if (kind === "retracted") {
+      if (t.triage && triageAlerts[change.id]) {
+        delete triageAlerts[change.id];
+        saveTriageAlerts();
+      }
+      const mode = setting("COCKPIT_RETRACT_MODE");
+      if (mode === "delete") await m.delete();
+      else await m.edit(retractedPayload(m, change?.reason));
+    } else if (kind === "updated" && change?.item) {
+      const also = postedClusterForMessage(t.messageId)?.also ?? [];
+      const msg = buildBriefMessage({ ...change.item, id: change.id, also_reported: also }, v);
+      if (!t.triage) {
+        await m.edit({ content: "", ...msg });
+      } else {
+        // Keep the acknowledgement state; the role isn't pinged again for an edit.
+        const score = Number(change.item?.relevance_score ?? 0);
+        const reason = triageReason(change.item, v) ?? "updated";
+        const ack = (m.components ?? [])
+          .filter((row) => row.components?.some((c) => c.customId?.startsWith("ack:")))
+          .map((row) => ActionRowBuilder.from(row));
+        await m.edit({
+          content: [
+            `🚨 **High-signal ${v.label}** (Score: **${score}** · ${reason})`,
+            ...m.content.split("\n").slice(1),
+          ].join("\n"),
+          ...msg,
+          components: [...msg.components, ...ack],
+          allowedMentions: { parse: [] },
+        });
+      }
+    } else {
+      continue;
+    }
+    touched += 1;
+  }
+  return touched;
+}
+
+async function syncBriefChanges(v) {
+  const limit = setting("COCKPIT_CHANGES_LIMIT");
+  const { changes, cursor } = await fetchBriefChanges(v.id, limit);
+
+  for (const change of changes) {
+    const id = Number(change?.id);
+    const key = `${v.id}:${change?.id}:${change?.change}`;
+    try {
+      const touched = await applyBriefChange(change, v);
+      if (touched) {
+        await log.info(
+          `✏️ Synced ${change.change} ${v.id} processed_item_id=${id} (${touched} msg)`,
+          { loop: "publish", vertical: v.id, item_id: id }
+        );
+      }
+      if (briefChangeFailures[key]) {
+        delete briefChangeFailures[key];
+        writeState("brief-change-failures", briefChangeFailures);
+      }
+    } catch (e) {
+      const err = String(e?.message ?? e);
+      const attempts = (briefChangeFailures[key] ?? 0) + 1;
+      if (attempts >= BRIEF_CHANGE_MAX_ATTEMPTS) {
+        delete briefChangeFailures[key];
+        writeState("brief-change-failures", briefChangeFailures);
+        await log.error(
+          `🔥 Brief sync gave up on ${change?.change} processed_item_id=${id} after ${attempts} attempts: ${err}`,
+          { loop: "publish", vertical: v.id, item_id: id }
+        );
+        continue;
+      }
+
+      // Leave the cursor where it is so this change is retried next cycle.
+      briefChangeFailures[key] = attempts;
+      writeState("brief-change-failures", briefChangeFailures);
+      if (attempts === 1) {
+        await log.warn(
+          `⚠️ Brief sync failed processed_item_id=${id}, will retry: ${err}`,
+          { loop: "publish", vertical: v.id, item_id: id }
+        );
+      }
+      return;
+    }
+  }
+
+  if (cursor !== null && cursor !== briefChangeCursors[v.id]) {
+    briefChangeCursors[v.id] = cursor;
+    writeState("brief-change-cursors", briefChangeCursors);
+  }
+}
+
+function publishWindowOpen(v, at = Date.now()) {
+  if (v.publishWindows.length && !inTimeWindows(v.publishWindows, at, v.publishTz)) return false;
+  return !inTimeWindows(v.quietHours, at, v.publishTz);
+}
+
+// Resolves to { posted, error, held? } so callers can report on the run.
+async function publishVerticalOnce(vertical) {
+  const v = verticalById.get(vertical);
+  if (!v) return { posted: 0, error: `unknown vertical ${vertical}` };
+
+  if (publishLocks[vertical]) return { posted: 0, error: "already running" };
+  publishLocks[vertical] = true;
+
+  let posted = 0;
+  try {
+    const limit = setting("COCKPIT_PUBLISH_LIMIT");
+
+    const channelId = v.briefChannelId;
+    if (!channelId) return { posted, error: null };
+
+    // Retry mark-posted for briefs that went out but were never confirmed; forget stale intents
+    // whose items Cockpit no longer offers.
+    const staleBefore = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    for (const entry of Object.values(publishJournal)) {
+      if (entry.vertical !== vertical) continue;
+      if (entry.status === "sending" && Date.parse(entry.startedAt) < staleBefore) {
+        delete publishJournal[entry.id];
+        saveJournal();
+        continue;
+      }
+      if (entry.status !== "sent") continue;
+      try {
+        await confirmPosted(entry);
+        await log.info(
+          `📣 Confirmed earlier ${vertical} post processed_item_id=${entry.id}`,
+          { loop: "publish", vertical, item_id: entry.id }
+        );
+      } catch (e) {
+        await log.warn(
+          `⚠️ mark-posted retry failed processed_item_id=${entry.id}: ${String(e?.message ?? e)}`,
+          { loop: "publish", vertical, item_id: entry.id }
+        );
+      }
+    }
+
+    await retryReviewDecisions(vertical);
+
+    try {
+      await syncBriefChanges(v);
+    } catch (e) {
+      await log.warn(
+        `⚠️ Brief change feed failed (${vertical}): ${String(e?.message ?? e)}`,
+        { loop: "publish", vertical }
+      );
+    }
+
+    // Outside publishing hours new briefs stay in Cockpit's unposted queue; the confirmations and
+    // edits above still go out.
+    if (!publishWindowOpen(v)) return { posted, error: null, held: true };
+
+    const items = await fetchUnposted(vertical, limit);
+    if (!items.length) return { posted, error: null };
+
+    const ch = await fetchTextChannel(channelId);
+    if (!ch) throw new Error(`Brief channel not text-based: ${channelId}`);
+
+    const triageCh = await fetchTextChannel(v.triageChannelId);
+
+    // Anything Cockpit still calls unposted but is already in the channel was sent before a
+    // crash or a failed mark-posted; reuse those messages instead of sending again.
+    const sentBriefs = await recentBriefMessages(ch);
+    const sentTriage = await recentBriefMessages(triageCh);
+
+    const errors = [];
+    for (const item of orderByCluster(items)) {
+      const id = Number(item?.id);
+      if (!Number.isFinite(id) || id <= 0) continue;
+
+      const cid = itemClusterId(item);
+      const clusterKey = cid ? `${vertical}:${cid}` : "";
+      const rec = clusterKey ? postedClusters[clusterKey] : null;
+
+      let entry;
+      try {
+        if (rec && rec.primaryId !== id) {
+          entry = await attachToCluster({ item, id, v, rec });
+        } else {
+          // Items already in the journal were cleared to publish before a crash.
+          const gate = publishJournal[id] ? "publish" : reviewGate(item, v);
+          if (gate !== "publish") {
+            await holdItem({ item, id, v, gate });
+            continue;
+          }
+          entry = await publishItem({ item, id, v, ch, triageCh, sentBriefs, sentTriage });
+          if (clusterKey && !rec) {
+            postedClusters[clusterKey] = {
+              vertical,
+              channelId: entry.channelId,
+              messageId: entry.messageId,
+              primaryId: id,
+              also: [],
+              at: Date.now(),
+            };
+            savePostedClusters();
+          }
+        }
+      } catch (e) {
+        errors.push(`send ${id}: ${String(e?.message ?? e)}`);
+        continue;
+      }
+
+      try {
+        await confirmPosted(entry);
+      } catch (e) {
+        errors.push(`mark-posted ${id}: ${String(e?.message ?? e)}`);
+        continue;
+      }
+
+      posted += 1;
+      if (!entry.duplicateOf) {
+        briefsPublished.inc({ vertical });
+        await notifyWatchers(item, v, entry);
+      }
+      await log.info(
+        entry.duplicateOf
+          ? `🔗 Attached ${vertical} processed_item_id=${id} to brief for ${entry.duplicateOf}`
+          : `📣 Posted ${vertical} processed_item_id=${id}`,
+        { loop: "publish", vertical, item_id: id }
+      );
+    }
+
+    if (errors.length) {
+      const error = errors.join("; ");
+      await log.warn(
+        `⚠️ Publisher errors (${vertical}): ${error.slice(0, 1500)}`,
+        { loop: "publish", vertical }
+      );
+      return { posted, error };
+    }
+    return { posted, error: null };
+  } catch (e) {
+    const error = String(e?.message ?? e);
+    await log.error(`🔥 Publisher crash (${vertical}): ${error}`, { loop: "publish", vertical });
+    return { posted, error };
+  } finally {
+    publishLocks[vertical] = false;
+  }
+}
+
+async function runPublisherOnce() {
+  const results = [];
+  for (const v of VERTICALS) {
+    if (!v.briefChannelId) continue;
+    results.push({ vertical: v.id, ...(await publishVerticalOnce(v.id)) });
+  }
+
+  const failed = results.filter((r) => r.error);
+  recordLoop(
+    "publish",
+    failed.length === 0,
+    results
+      .map((r) => {
+        const err = r.error ? ` (${r.error.slice(0, 80)})` : "";
+        return `${r.vertical}=${r.held ? "held" : r.posted}${err}`;
+      })
+      .join(" "),
+    failed.length < results.length || results.length === 0
+  );
+}
+
+// Checked every minute: when a vertical's publishing window opens, its queue starts flushing right
+// away (one COCKPIT_PUBLISH_LIMIT batch) instead of waiting for the next publisher run.
+const windowWasOpen = {};
+
+async function runWindowFlushOnce() {
+  for (const v of VERTICALS) {
+    if (!v.briefChannelId) continue;
+    const open = publishWindowOpen(v);
+    const opened = open && windowWasOpen[v.id] === false;
+    windowWasOpen[v.id] = open;
+    if (!opened) continue;
+
+    const r = await publishVerticalOnce(v.id);
+    await log.info(`🌅 Publishing hours started for ${v.id}, posted=${r.posted}`, {
+      loop: "publish",
+      vertical: v.id,
+    });
+  }
+}
+
+// ---------- digests ----------
+// A morning roll-up per vertical of what was posted in the last day (and week), posted to the
+// vertical's digestChannelId (or COCKPIT_DIGEST_CHANNEL_ID). Times are local to COCKPIT_DIGEST_TZ:
+//   COCKPIT_DIGEST_DAILY_AT=07:30        COCKPIT_DIGEST_WEEKLY_AT="mon 07:30"     ("off" disables)
+
+// `read` is the setting reader, so a reload can build this from the settings it is checking.
+function loadDigestConfig(read = setting) {
+  return {
+    timeZone: read("COCKPIT_DIGEST_TZ"),
+    top: read("COCKPIT_DIGEST_TOP"),
+    kinds: {
+      daily: {
+        label: "Daily",
+        emoji: "☀️",
+        windowMs: 24 * 60 * 60 * 1000,
+        at: parseDigestTime(read("COCKPIT_DIGEST_DAILY_AT"), false),
+      },
+      weekly: {
+        label: "Weekly",
+        emoji: "🗓️",
+        windowMs: 7 * 24 * 60 * 60 * 1000,
+        at: parseDigestTime(read("COCKPIT_DIGEST_WEEKLY_AT"), true),
+      },
+    },
+  };
+}
+
+let digestConfig = loadDigestConfig();
+
+// Last local date each `${vertical}:${kind}` digest went out.
+const digestState = readState("digest-state", {});
+let digestRunning = false;
+
+function localClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function digestDue(kind, clock) {
+  const at = digestConfig.kinds[kind].at;
+  if (!at) return false;
+  if (at.weekday && at.weekday !== clock.weekday) return false;
+  return clock.minutes >= at.minutes;
+}
+
+async function fetchPostedSince(vertical, since) {
+  const out = await cockpitGet(
+    `/api/brief/posted?vertical=${encodeURIComponent(vertical)}&since=${encodeURIComponent(
+      since
+    )}&limit=500`
+  );
+  return Array.isArray(out?.items) ? out.items : [];
+}
+
+function digestLine(item) {
+  const score = Number(item?.relevance_score ?? 0) || 0;
+  const title = clip(String(item?.title ?? "").trim() || "(untitled)", 120);
+  const url = String(item?.url ?? "").trim();
+  const summary = clip(String(item?.summary_1 ?? "").trim().split(/(?<=[.!?])\s/)[0], 160);
+  const head = /^https?:\/\//i.test(url) ? `[${title}](${url})` : title;
+  return `**${score}** ${head}${summary ? ` — ${summary}` : ""}`;
+}
+
+function buildDigestMessage(v, kind, items, day) {
+  const k = digestConfig.kinds[kind];
+  const score = (it) => Number(it?.relevance_score ?? 0) || 0;
+  const ranked = [...items].sort((a, b) => score(b) - score(a));
+
+  const byTag = new Map();
+  for (const it of ranked) {
+    for (const t of cleanTags(it?.tags)) {
+      const key = t.toLowerCase();
+      if (!byTag.has(key)) byTag.set(key, { tag: t, items: [] });
+      byTag.get(key).items.push(it);
+    }
+  }
+  const topTags = [...byTag.values()].sort((a, b) => b.items.length - a.items.length).slice(0, 5);
+
+  const bySource = new Map();
+  for (const it of ranked) {
+    const name = itemSourceLabel(it);
+    bySource.set(name, (bySource.get(name) ?? 0) + 1);
+  }
+
+  const description =
+    ranked
+      .slice(0, digestConfig.top)
+      .map((it, i) => `${i + 1}. ${digestLine(it)}`)
+      .join("\n") + fmtTags(topTags.map((g) => g.tag));
+
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: `${v.emoji} ${v.label} ${k.label} Digest` })
+    .setTitle(`${k.emoji} ${ranked.length} brief${ranked.length === 1 ? "" : "s"} · ${day}`)
+    .setColor(scoreColor(score(ranked[0])))
+    .setDescription(clip(description, 4096));
+
+  for (const g of topTags) {
+    const links = g.items.map((it) => {
+      const title = clip(String(it?.title ?? "").trim() || "(untitled)", 80);
+      const url = String(it?.url ?? "").trim();
+      return /^https?:\/\//i.test(url) ? `[${title}](${url})` : title;
+    });
+    embed.addFields({ name: clip(`${g.tag} (${g.items.length})`, 256), value: clip(fmtBullets(links), 1024) });
+  }
+
+  const sources = [...bySource.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, n]) => `${name} ×${n}`)
+    .join(", ");
+  if (sources) embed.addFields({ name: "Sources", value: clip(sources, 1024) });
+
+  return { embeds: [embed] };
+}
+
+// Resolves to the number of briefs in the digest, or null when the digest channel is missing.
+async function postDigest(v, kind, day) {
+  const since = new Date(Date.now() - digestConfig.kinds[kind].windowMs).toISOString();
+  const items = await fetchPostedSince(v.id, since);
+  if (!items.length) return 0;
+
+  const ch = await fetchTextChannel(v.digestChannelId).catch(() => null);
+  if (!ch) return null;
+  await ch.send(buildDigestMessage(v, kind, items, day));
+  return items.length;
+}
+
+// Checks which digests are due and posts them; `force` ("daily"/"weekly") posts that kind now
+// without touching digestState, so the scheduled digest still goes out that day.
+async function runDigestsOnce({ force = null } = {}) {
+  if (digestRunning) return;
+  digestRunning = true;
+
+  const clock = localClock(new Date(), digestConfig.timeZone);
+  const results = [];
+  try {
+    for (const v of VERTICALS) {
+      if (!v.digestChannelId) continue;
+
+      for (const kind of Object.keys(digestConfig.kinds)) {
+        const key = `${v.id}:${kind}`;
+        const due = force ? force === kind : digestDue(kind, clock) && digestState[key] !== clock.date;
+        if (!due) continue;
+
+        try {
+          const n = await postDigest(v, kind, clock.date);
+          // A missing channel is reported once and the day marked done, not retried every minute.
+          if (n === null) {
+            await log.warn(
+              `⚠️ ${kind} digest skipped (${v.id}): digest channel ${v.digestChannelId} not found`,
+              { loop: "digest", vertical: v.id }
+            );
+          }
+          if (!force) {
+            digestState[key] = clock.date;
+            writeState("digest-state", digestState);
+          }
+          results.push({
+            key,
+            text: n === null ? `${key} no channel` : `${key}=${n}`,
+            error: n === null ? "digest channel not found" : null,
+          });
+        } catch (e) {
+          results.push({ key, text: `${key} failed`, error: String(e?.message ?? e) });
+          await log.warn(
+            `⚠️ ${kind} digest failed (${v.id}): ${String(e?.message ?? e)}`,
+            { loop: "digest", vertical: v.id }
+          );
+        }
+      }
+    }
+
+    if (results.length) {
+      recordLoop("digest", results.every((r) => !r.error), results.map((r) => r.text).join(" "));
+    }
+  } finally {
+    digestRunning = false;
+  }
+}
+
+// ---------- RSS helpers ----------
+async function cockpitGet(path) {
+  const secret = mustSetting("COCKPIT_PROCESS_SECRET");
+  const res = await cockpitFetch(`${CFG.apiBase}${path}`, {
+    method: "GET",
+    headers: { "x-cockpit-secret": secret },
+  });
+  const txt = await res.text();
+  if (!res.ok) throw new Error(`GET ${path} failed ${res.status}: ${txt.slice(0, 300)}`);
+  return JSON.parse(txt);
+}
+
+async function cockpitPost(path, body) {
+  const secret = mustSetting("COCKPIT_PROCESS_SECRET");
+  const res = await cockpitFetch(`${CFG.apiBase}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-cockpit-secret": secret },
+    body: JSON.stringify(body),
+  });
+  const txt = await res.text();
+  if (!res.ok) throw new Error(`POST ${path} failed ${res.status}: ${txt.slice(0, 300)}`);
+  return JSON.parse(txt);
 }
 
 async function fetchSeenKeys(sourceId, keys) {
@@ -404,365 +2209,648 @@ async function fetchSeenKeys(sourceId, keys) {
   return new Set(seen);
 }
 
-async function ingestRssItem({ url, vertical, sourceId, sourceName, sourceType }) {
-  const res = await fetch(`${CFG.apiBase}/api/ingest`, {
+// `page` is the optional article-page metadata from enrichItem.
+async function ingestRssItem({
+  url,
+  vertical,
+  sourceId,
+  sourceName,
+  sourceType,
+  page = null,
+  cluster = null,
+}) {
+  const canon = await canonicalizeUrl(url, { page });
+  const res = await cockpitFetch(`${CFG.apiBase}/api/ingest`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
       "x-cockpit-secret": CFG.ingestSecret,
     },
     body: JSON.stringify({
-      url,
+      url: canon.url,
+      original_url: canon.original,
       vertical,
       source: "rss",
-      metadata: { source_id: sourceId, source_name: sourceName, source_type: sourceType },
+      metadata: {
+        source_id: sourceId,
+        source_name: sourceName,
+        source_type: sourceType,
+        ...(page
+          ? {
+              title: page.title || null,
+              published_at: page.published ? page.published.toISOString() : null,
+              canonical_url: page.canonical || null,
+            }
+          : {}),
+        ...(cluster
+          ? { cluster_id: cluster.clusterId, duplicate_of_url: cluster.matched?.url ?? null }
+          : {}),
+      },
       posted_at: new Date().toISOString(),
     }),
   });
 
-  if (!res.ok) {
-    const body = await res.text().catch(() => "");
-    throw new Error(`Ingest failed ${res.status}: ${body.slice(0, 300)}`);
-  }
+  if (!res.ok) {
+    const body = await res.text().catch(() => "");
+    throw new Error(`Ingest failed ${res.status}: ${body.slice(0, 300)}`);
+  }
+
+  return res.json().catch(() => ({}));
+}
+
+// ---------- feed filters ----------
+// Filters work on the adapter's normalised item shape ({ key, link, title, date, summary,
+// categories }) and are declared as rulesets (see rules.js). Layers, most specific first:
+//   source   - src.filter_rules from /api/sources/rss
+//   domain   - keyed by host without "www."
+//   vertical - keyed by vertical id
+//   global   - applies to everything
+// Built-ins below can be overridden per key (the global ruleset per field and rule id) by
+// COCKPIT_FILTER_RULES_FILE ({ global, domains, verticals }) and by a filter_rules object in the
+// /api/sources/rss response.
+function builtinFilterRules(read = setting) {
+  const maxAgeHrs = read("COCKPIT_RSS_MAX_AGE_HOURS");
+  return {
+    global: { max_age_hours: maxAgeHrs },
+    domains: {
+      // SEC Atom noise filter
+      "sec.gov": {
+        name: "sec",
+        rules: [
+          {
+            id: "material",
+            action: "include",
+            when: {
+              field: "title",
+              keywords: [
+                "award",
+                "grant",
+                "department of defense",
+                "dod",
+                "doe",
+                "contract",
+                "agreement",
+                "offtake",
+                "credit",
+                "facility",
+                "financing",
+                "private placement",
+                "strategic",
+                "rare earth",
+                "separation",
+                "magnet",
+                "processing",
+                "acquisition",
+                "merger",
+                "sale",
+                "joint venture",
+              ],
+            },
+          },
+        ],
+      },
+      // Mining.com title filter
+      "mining.com": {
+        name: "mining",
+        rules: [
+          {
+            id: "critical_minerals",
+            action: "include",
+            when: {
+              field: "title",
+              keywords: [
+                "rare",
+                "rare earth",
+                "critical mineral",
+                "magnet",
+                "separation",
+                "scandium",
+                "gallium",
+                "germanium",
+                "dysprosium",
+                "terbium",
+                "neodymium",
+                "praseodymium",
+              ],
+            },
+          },
+        ],
+      },
+    },
+    verticals: {},
+  };
+}
+
+function loadFilterRules(read = setting) {
+  const file = read("COCKPIT_FILTER_RULES_FILE");
+  let rules = builtinFilterRules(read);
+  if (file) {
+    try {
+      rules = mergeFilterRules(rules, JSON.parse(readFileSync(file, "utf8")));
+    } catch (e) {
+      throw new Error(`Invalid filter rules file ${file}: ${e.message}`);
+    }
+  }
+  return rules;
+}
+
+let baseFilterRules = loadFilterRules();
+let filterRules = baseFilterRules;
+
+// Rules that don't parse are a config error, not a feed failure: they're reported once (per
+// value) and left out, so a typo can't back off and auto-pause a healthy feed.
+const reportedBadRules = new Set();
+
+async function reportBadRules(what, raw, e) {
+  const key = `${what}\n${typeof raw === "string" ? raw : JSON.stringify(raw)}`;
+  if (reportedBadRules.has(key)) return;
+  reportedBadRules.add(key);
+  await log.error(`🔥 Invalid filter rules (${what}), ignoring them: ${String(e?.message ?? e)}`);
+}
+
+async function safeRuleset(raw, what) {
+  try {
+    return parseRuleset(raw);
+  } catch (e) {
+    await reportBadRules(what, raw, e);
+    return null;
+  }
+}
+
+async function applyCockpitFilterRules(extra) {
+  try {
+    filterRules = mergeFilterRules(baseFilterRules, extra);
+  } catch (e) {
+    await reportBadRules("Cockpit filter_rules", extra, e);
+    filterRules = baseFilterRules;
+  }
+}
+
+async function filterLayers(src, domain) {
+  const d = domain.replace(/^www\./, "");
+  return [
+    { layer: "source", ruleset: await safeRuleset(src?.filter_rules, `source ${src?.id}`) },
+    { layer: "domain", ruleset: await safeRuleset(filterRules.domains[d], `domain ${d}`) },
+    {
+      layer: "vertical",
+      ruleset: await safeRuleset(filterRules.verticals[src?.vertical], `vertical ${src?.vertical}`),
+    },
+    { layer: "global", ruleset: await safeRuleset(filterRules.global, "global") },
+  ];
+}
+
+function shouldSkipFeedItem({ item, layers }) {
+  return evaluateRules(item, layers);
+}
+
+// ---------- feed skip stats ----------
+// Per-poll breakdown of why items didn't become ingests. `filtered` is keyed by the rule reason
+// from shouldSkipFeedItem (e.g. "sec:no_include_match", "old>48h").
+function newSkipReasons() {
+  return { seen_before: 0, filtered: {}, ingest_deduped: 0, missing_link: 0, fetch_error: 0 };
+}
+
+function countSkips(r) {
+  const filtered = Object.values(r.filtered).reduce((a, b) => a + b, 0);
+  return r.seen_before + filtered + r.ingest_deduped + r.missing_link;
+}
+
+function addSkipReasons(into, r) {
+  into.seen_before += r.seen_before;
+  into.ingest_deduped += r.ingest_deduped;
+  into.missing_link += r.missing_link;
+  into.fetch_error += r.fetch_error;
+  for (const [k, n] of Object.entries(r.filtered)) into.filtered[k] = (into.filtered[k] ?? 0) + n;
+  return into;
+}
+
+function fmtSkipReasons(r) {
+  const filtered = Object.entries(r.filtered)
+    .sort((a, b) => b[1] - a[1])
+    .map(([k, n]) => `${k}=${n}`);
+  return [
+    `seen=${r.seen_before}`,
+    `deduped=${r.ingest_deduped}`,
+    r.missing_link ? `no_link=${r.missing_link}` : "",
+    r.fetch_error ? `errors=${r.fetch_error}` : "",
+    filtered.length ? `filtered[${filtered.join(" ")}]` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Running totals per source since the last daily digest; persisted so a restart doesn't lose them.
+const feedStats = readState("feed-stats", { since: isoNow(), lastDigestDay: "", sources: {} });
+
+function recordFeedStats(src, { fetched = 0, ingested = 0, reasons }) {
+  const key = String(src?.id);
+  const cur = (feedStats.sources[key] ??= {
+    name: src?.name ?? key,
+    vertical: src?.vertical ?? "",
+    polls: 0,
+    fetched: 0,
+    ingested: 0,
+    reasons: newSkipReasons(),
+  });
+  cur.name = src?.name ?? cur.name;
+  cur.polls += 1;
+  cur.fetched += fetched;
+  cur.ingested += ingested;
+  addSkipReasons(cur.reasons, reasons);
+}
+
+function fmtFeedStats({ sourceId = null, top = 10 } = {}) {
+  const rows = Object.entries(feedStats.sources)
+    .filter(([id]) => sourceId === null || id === String(sourceId))
+    .map(([id, s]) => ({ id, ...s }));
+  if (!rows.length) return "No feed stats yet.";
+
+  const total = rows.reduce((acc, r) => addSkipReasons(acc, r.reasons), newSkipReasons());
+  const fetched = rows.reduce((a, r) => a + r.fetched, 0);
+  const ingested = rows.reduce((a, r) => a + r.ingested, 0);
+
+  // Sources where filters or errors ate the most items float to the top.
+  const starved = rows
+    .map((r) => ({ ...r, lost: countSkips(r.reasons) - r.reasons.seen_before + r.reasons.fetch_error }))
+    .sort((a, b) => b.lost - a.lost || a.ingested - b.ingested)
+    .slice(0, top);
+
+  const lines = starved.map(
+    (r) =>
+      `• \`${r.id}\` **${r.name}** (${r.vertical}) fetched=${r.fetched} ingested=${r.ingested} ${fmtSkipReasons(r.reasons)}`
+  );
+
+  return clip(
+    [
+      `📊 **Feed stats** since <t:${Math.floor(Date.parse(feedStats.since) / 1000)}:f>`,
+      `Total: sources=${rows.length} fetched=${fetched} ingested=${ingested} ${fmtSkipReasons(total)}`,
+      ...lines,
+    ].join("\n"),
+    1900
+  );
+}
+
+async function maybePostFeedStatsDigest() {
+  const hour = setting("COCKPIT_FEEDSTATS_DIGEST_HOUR_UTC");
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  if (now.getUTCHours() < hour || feedStats.lastDigestDay === day) return;
+
+  await log.info(fmtFeedStats(), { loop: "rss" });
+  feedStats.sources = {};
+  feedStats.since = isoNow();
+  feedStats.lastDigestDay = day;
+  writeState("feed-stats", feedStats);
+}
+
+async function reportFeed(
+  src,
+  { etag, lastModified, lastError = null, seenKeys = [], reasons = newSkipReasons() }
+) {
+  await cockpitPost("/api/sources/rss/report", {
+    source_id: src.id,
+    etag,
+    last_modified: lastModified,
+    last_error: lastError,
+    seen_keys: seenKeys,
+    skip_reasons: reasons,
+  });
+}
+
+// ---------- source health ----------
+// Consecutive failures push a source's next poll out exponentially (one RSS interval, doubling,
+// capped at COCKPIT_SOURCE_BACKOFF_MAX_MIN); after COCKPIT_SOURCE_PAUSE_AFTER failures in a row
+// it is paused in Cockpit. A feed that parses but keeps coming back empty is only alerted on,
+// after COCKPIT_SOURCE_EMPTY_ALERT polls, since that can be legitimate. Either alert is followed
+// by a recovery notice once the source works again.
+const sourceHealth = readState("source-health", {});
+
+function saveSourceHealth() {
+  writeState("source-health", sourceHealth);
+}
+
+function healthOf(sourceId) {
+  const key = String(sourceId);
+  if (!sourceHealth[key]) {
+    sourceHealth[key] = {
+      failures: 0,
+      emptyStreak: 0,
+      lastError: null,
+      nextAttemptAt: 0,
+      alerted: null,
+    };
+  }
+  return sourceHealth[key];
+}
+
+function sourceBackingOff(src, now = Date.now()) {
+  return (sourceHealth[String(src?.id)]?.nextAttemptAt ?? 0) > now;
+}
+
+async function recordSourceSuccess(src, r) {
+  const h = healthOf(src.id);
+  const emptyAlertAfter = setting("COCKPIT_SOURCE_EMPTY_ALERT");
+  const fields = { loop: "rss", source_id: src.id, vertical: src.vertical };
+
+  if (h.alerted === "failing" || h.alerted === "paused") {
+    await log.info(`✅ Source "${src.name}" (\`${src.id}\`) recovered after ${h.failures} failed polls`, fields);
+    h.alerted = null;
+  }
+  h.failures = 0;
+  h.nextAttemptAt = 0;
+  h.lastError = null;
+
+  if (r.fetched === 0 && !r.notModified) {
+    h.emptyStreak += 1;
+    if (h.emptyStreak === emptyAlertAfter) {
+      h.alerted = "empty";
+      await log.warn(
+        `📭 Source "${src.name}" (\`${src.id}\`, ${src.vertical}) returned no items ${h.emptyStreak} polls in a row`,
+        fields
+      );
+    }
+  } else if (r.fetched > 0) {
+    if (h.alerted === "empty") {
+      await log.info(`✅ Source "${src.name}" (\`${src.id}\`) is returning items again`, fields);
+      h.alerted = null;
+    }
+    h.emptyStreak = 0;
+  }
+  saveSourceHealth();
+}
+
+async function recordSourceFailure(src, err) {
+  const h = healthOf(src.id);
+  const pauseAfter = setting("COCKPIT_SOURCE_PAUSE_AFTER");
+  const alertAfter = Math.min(3, pauseAfter);
+  const maxBackoffMs = setting("COCKPIT_SOURCE_BACKOFF_MAX_MIN") * 60000;
+  const fields = { loop: "rss", source_id: src.id, vertical: src.vertical, error: err };
+
+  h.failures += 1;
+  h.lastError = clip(err, 500);
+  const backoffMs = Math.min(maxBackoffMs, jobGapMs("rss") * 2 ** Math.min(h.failures - 1, 20));
+  h.nextAttemptAt = Date.now() + backoffMs;
+  saveSourceHealth();
+
+  if (h.failures >= pauseAfter && h.alerted !== "paused") {
+    try {
+      await cockpitPost("/api/sources/rss/pause", { source_id: src.id, reason: h.lastError });
+      h.alerted = "paused";
+      saveSourceHealth();
+      await log.error(
+        `⏸️ Auto-paused source "${src.name}" (\`${src.id}\`, ${src.vertical}) after ${h.failures} failed polls. Last error: ${h.lastError}`,
+        fields
+      );
+    } catch (e) {
+      await log.warn(`⚠️ Auto-pause of source ${src.id} failed: ${String(e?.message ?? e)}`, fields);
+    }
+  } else if (h.failures === alertAfter && !h.alerted) {
+    h.alerted = "failing";
+    saveSourceHealth();
+    await log.warn(
+      `⚠️ Source "${src.name}" (\`${src.id}\`, ${src.vertical}) failed ${h.failures} polls in a row, backing off ${Math.round(backoffMs / 60000)}m. Last error: ${h.lastError}`,
+      fields
+    );
+  }
+}
+
+// A manual resume clears the back-off but keeps the failure count, so the next good poll still
+// announces the recovery.
+function resetSourceBackoff(sourceId) {
+  const h = sourceHealth[String(sourceId)];
+  if (!h) return;
+  h.nextAttemptAt = 0;
+  if (h.alerted === "paused") h.alerted = "failing";
+  saveSourceHealth();
+}
+
+// ---------- outbound fetch politeness ----------
+function defaultUserAgent() {
+  return setting("COCKPIT_RSS_USER_AGENT");
+}
+
+// SEC asks for <=10 req/s; COCKPIT_SEC_DELAY_MS is the minimum gap between SEC request starts.
+// COCKPIT_HOST_LIMITS adds or overrides hosts: {"example.com":{"maxConcurrent":1,"minIntervalMs":2000}}
+function loadHostLimits() {
+  const limits = {
+    "sec.gov": {
+      maxConcurrent: 2,
+      minIntervalMs: setting("COCKPIT_SEC_DELAY_MS"),
+    },
+  };
+  const extra = setting("COCKPIT_HOST_LIMITS");
+  if (!extra) return limits;
+  try {
+    return { ...limits, ...JSON.parse(extra) };
+  } catch (e) {
+    throw new Error(`Invalid COCKPIT_HOST_LIMITS: ${e.message}`);
+  }
+}
+
+const hostLimiter = createHostLimiter({
+  limits: loadHostLimits(),
+  defaults: {
+    maxConcurrent: setting("COCKPIT_HOST_MAX_CONCURRENT"),
+    minIntervalMs: setting("COCKPIT_HOST_MIN_INTERVAL_MS"),
+  },
+});
+
+// fetch() behind the host limiter, with a timeout covering headers and body, and retries on
+// 429/503 honoring Retry-After (exponential back-off when the header is missing). A host whose
+// back-off would outlast maxWaitMs fails fast instead of holding up the caller.
+async function politeFetch(url, init = {}, opts = {}) {
+  const timeoutMs = opts.timeoutMs ?? setting("COCKPIT_RSS_TIMEOUT_MS");
+  const retries = opts.retries ?? setting("COCKPIT_RSS_RETRIES");
+  const maxWaitMs = opts.maxWaitMs ?? 60_000;
+  const host = new URL(url).host;
+
+  for (let attempt = 0; ; attempt += 1) {
+    const release = await hostLimiter.acquire(host, { maxWaitMs });
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } finally {
+      release();
+    }
+
+    if (res.status !== 429 && res.status !== 503) return res;
 
-  return res.json().catch(() => ({}));
+    const waitMs =
+      parseRetryAfter(res.headers.get("retry-after")) ?? Math.min(2000 * 2 ** attempt, 5 * 60_000);
+    hostLimiter.block(host, waitMs);
+    if (attempt >= retries || waitMs > maxWaitMs) return res;
+    await res.body?.cancel().catch(() => {});
+  }
 }
 
-function atomTitle(item) {
-  const t = item?.title;
-  if (typeof t === "string") return t;
-  if (t && typeof t === "object" && typeof t["#text"] === "string") return t["#text"];
-  return "";
-}
-
-function secPassesMaterialFilter(item) {
-  const title = atomTitle(item).toLowerCase();
-  const allow = [
-    "award",
-    "grant",
-    "department of defense",
-    "dod",
-    "doe",
-    "contract",
-    "agreement",
-    "offtake",
-    "credit",
-    "facility",
-    "financing",
-    "private placement",
-    "strategic",
-    "rare earth",
-    "separation",
-    "magnet",
-    "processing",
-    "acquisition",
-    "merger",
-    "sale",
-    "joint venture",
-  ];
-  return allow.some((k) => title.includes(k));
+// ---------- article page enrichment ----------
+// HTML list adapters only give us a URL. For those (adapter.enrich, or src.enrich=true) each new
+// candidate page is fetched once, capped at COCKPIT_ENRICH_MAX_BYTES, and its title/date/canonical
+// URL are fed into the filters and the ingest metadata. COCKPIT_ENRICH=off disables it.
+const pageMetaCache = new Map();
+const PAGE_META_TTL_MS = 6 * 60 * 60 * 1000;
+const PAGE_META_CACHE_MAX = 1000;
+
+async function readCapped(res, maxBytes) {
+  if (!res.body) return "";
+  const reader = res.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (total < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    total += value.byteLength;
+  }
+  await reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString("utf8");
 }
 
-function shouldSkipFeedItem({ item, domain }) {
-  // 1) Age gate
-  const maxAgeHrs = clampInt(process.env.COCKPIT_RSS_MAX_AGE_HOURS || 48, 48, 1, 720);
-  const cutoff = Date.now() - maxAgeHrs * 60 * 60 * 1000;
+async function fetchPageMeta(url) {
+  const hit = pageMetaCache.get(url);
+  if (hit && Date.now() - hit.at < PAGE_META_TTL_MS) return hit.meta;
 
-  const dt = parseItemDate(item);
-  if (dt && dt.getTime() < cutoff) {
-    return { skip: true, reason: `old>${maxAgeHrs}h` };
+  const maxBytes = setting("COCKPIT_ENRICH_MAX_BYTES");
+  const res = await politeFetch(url, {
+    method: "GET",
+    redirect: "follow",
+    headers: {
+      "User-Agent": defaultUserAgent(),
+      Accept: "text/html, application/xhtml+xml;q=0.9, */*;q=0.5",
+    },
+  });
+  if (!res.ok) {
+    await res.body?.cancel().catch(() => {});
+    throw new Error(`page fetch failed ${res.status}`);
   }
 
-  // 2) SEC Atom noise filter
-  const isSec = domain === "www.sec.gov" || domain === "sec.gov";
-  if (isSec && !secPassesMaterialFilter(item)) {
-    return { skip: true, reason: "sec_nonmaterial" };
-  }
-
-  // 3) Mining.com title filter
-  const isMining = domain === "www.mining.com" || domain === "mining.com";
-  if (isMining) {
-    const title = atomTitle(item).toLowerCase();
-    const allow = [
-      "rare",
-      "rare earth",
-      "critical mineral",
-      "magnet",
-      "separation",
-      "scandium",
-      "gallium",
-      "germanium",
-      "dysprosium",
-      "terbium",
-      "neodymium",
-      "praseodymium",
-    ];
-    if (!allow.some((k) => title.includes(k))) {
-      return { skip: true, reason: "mining_title_filter" };
-    }
-  }
-
-  return { skip: false };
-}
-
-function isMarketIndexAnnouncementsList(urlStr) {
-  const u = String(urlStr || "").toLowerCase();
-  return u.includes("marketindex.com.au/asx/") && u.endsWith("/announcements");
-}
-
-function parseMarketIndexAnnouncementLinks(html) {
-  // Extract links like: /asx/lyc/announcements/<slug>
-  const re = /href="(\/asx\/[a-z0-9]+\/announcements\/[^"]+)"/gi;
-  const out = [];
-  let m;
-  while ((m = re.exec(html)) !== null) {
-    out.push(m[1]);
-  }
-  // Unique + keep order
-  const uniq = [];
-  const seen = new Set();
-  for (const p of out) {
-    if (!seen.has(p)) {
-      seen.add(p);
-      uniq.push("https://www.marketindex.com.au" + p);
-    }
+  const meta = extractPageMeta(await readCapped(res, maxBytes), res.url || url);
+
+  pageMetaCache.delete(url);
+  pageMetaCache.set(url, { at: Date.now(), meta });
+  if (pageMetaCache.size > PAGE_META_CACHE_MAX) {
+    pageMetaCache.delete(pageMetaCache.keys().next().value);
   }
-  return uniq;
+  return meta;
 }
 
-function isDiscoveryAlertCategory(urlStr) {
-  const u = String(urlStr || "").toLowerCase();
-  return u.startsWith("https://discoveryalert.com.au/category/");
+function shouldEnrich(src, item) {
+  if (setting("COCKPIT_ENRICH") === "off") return false;
+  const wanted = src?.enrich ?? item.enrich;
+  return Boolean(wanted) && (!item.title || !item.date);
 }
 
-function parseDiscoveryAlertLinks(html) {
-  const re = /href="(https:\/\/discoveryalert\.com\.au\/[^"]+)"/gi;
-  const out = [];
-  let m;
-  while ((m = re.exec(html)) !== null) out.push(m[1]);
-
-  const filtered = out.filter((u) => {
-    const x = u.toLowerCase();
-
-    if (!x.startsWith("https://discoveryalert.com.au/")) return false;
-    if (x.includes("?") || x.includes("#")) return false;
-
-    // Drop obvious non-article areas
-    if (x.includes("/category/") || x.includes("/tag/") || x.includes("/author/")) return false;
-    if (x.includes("/wp-") || x.includes("/page/")) return false;
+// Resolves to { item, page }: the item with gaps filled from the page, and the raw page meta
+// (null when not enriched or the fetch failed — the item then goes through as-is).
+async function enrichItem(src, item) {
+  if (!shouldEnrich(src, item)) return { item, page: null };
+  try {
+    const page = await fetchPageMeta(item.link);
+    return {
+      item: {
+        ...item,
+        title: item.title || page.title,
+        date: item.date || page.published,
+        summary: item.summary || page.description,
+      },
+      page,
+    };
+  } catch {
+    return { item, page: null };
+  }
+}
 
-    // Drop feeds explicitly
-    if (x.endsWith("/feed/")) return false;
-    if (x.includes("/comments/feed/")) return false;
+function feedDomain(src) {
+  return String(src?.url || "").replace(/^https?:\/\//i, "").split("/")[0].toLowerCase();
+}
 
-    // Root slug only
-    const path = x.replace("https://discoveryalert.com.au/", "");
-    const parts = path.split("/").filter(Boolean);
-    if (parts.length !== 1) return false;
+// Fetches a source through its adapter. Resolves to { notModified, items, etag, lastModified };
+// `conditional: false` skips If-None-Match/If-Modified-Since (used by explain).
+async function fetchFeed(src, { conditional = true } = {}) {
+  const maxItems = setting("COCKPIT_RSS_MAX_ITEMS_PER_FEED");
 
-    const slug = parts[0];
+  const defaultUa = defaultUserAgent();
 
-    // Block known static/utility pages
-    const deny = new Set([
-      "ai-trade-alert",
-      "privacy-policy",
-      "terms",
-      "contact",
-      "about",
-      "subscribe",
-      "newsletter",
-      "login",
-    ]);
-    if (deny.has(slug)) return false;
+  const domain = feedDomain(src);
+  const isSec = domain === "www.sec.gov" || domain === "sec.gov";
+  const adapter = pickAdapter(src, { domain });
 
-    // Require "article-like" slug characteristics:
-    // Your examples end with -2026. This is a great discriminator.
-    if (!slug.includes("-202")) return false;
+  const ua = isSec ? setting("COCKPIT_SEC_USER_AGENT") || defaultUa : defaultUa;
 
-    // sanity
-    if (slug.length < 12) return false;
+  let etag = src?.etag || null;
+  let lastModified = src?.last_modified || null;
 
-    return true;
-  });
+  const headers = { "User-Agent": ua, Accept: adapter.accept };
+  if (conditional && etag) headers["If-None-Match"] = etag;
+  if (conditional && lastModified) headers["If-Modified-Since"] = lastModified;
 
-  // Unique preserving order
-  const uniq = [];
-  const seen = new Set();
-  for (const u of filtered) {
-    if (!seen.has(u)) {
-      seen.add(u);
-      uniq.push(u);
-    }
-  }
-  return uniq;
-}
+  const res = await politeFetch(src.url, { method: "GET", headers, redirect: "follow" });
 
+  if (res.status === 304) return { notModified: true, items: [], etag, lastModified };
 
+  const bodyText = await res.text();
 
-async function pollOneFeed(src) {
-  const maxItems = clampInt(process.env.COCKPIT_RSS_MAX_ITEMS_PER_FEED || 10, 10, 1, 50);
+  if (!res.ok) throw new Error(`Feed fetch failed ${res.status}: ${bodyText.slice(0, 200)}`);
 
-  const defaultUa = getEnv(
-    "COCKPIT_RSS_USER_AGENT",
-    "DyersCockpitBot/1.0 (+https://dyerempire.com)"
-  );
+  etag = res.headers.get("etag") || etag;
+  lastModified = res.headers.get("last-modified") || lastModified;
 
-  const urlStr = String(src?.url || "");
-  const domain = urlStr.replace(/^https?:\/\//i, "").split("/")[0].toLowerCase();
-  const isSec = domain === "www.sec.gov" || domain === "sec.gov";
+  const items = adapter
+    .extract(bodyText, src)
+    .slice(0, maxItems)
+    .map((i) => ({
+      ...i,
+      sourceType: adapter.sourceType(src, domain),
+      enrich: adapter.enrich === true,
+    }));
 
-  const secDelayMs = clampInt(process.env.COCKPIT_SEC_DELAY_MS || 1200, 1200, 0, 10000);
-  if (isSec && secDelayMs > 0) {
-    await sleep(secDelayMs);
-  }
+  return { notModified: false, items, etag, lastModified };
+}
 
-  const ua = isSec ? getEnv("COCKPIT_SEC_USER_AGENT", defaultUa) : defaultUa;
+async function pollOneFeed(src) {
+  const domain = feedDomain(src);
 
   let etag = src?.etag || null;
   let lastModified = src?.last_modified || null;
-
-  const sourceType = isSec ? "corporate" : "rss";
+  const reasons = newSkipReasons();
 
   try {
-    const headers = {
-      "User-Agent": ua,
-      Accept: "application/rss+xml, application/atom+xml, text/xml;q=0.9, */*;q=0.8",
-    };
-    if (etag) headers["If-None-Match"] = etag;
-    if (lastModified) headers["If-Modified-Since"] = lastModified;
-
-    const res = await fetch(src.url, { method: "GET", headers, redirect: "follow" });
-
-    if (res.status === 304) {
-      await cockpitPost("/api/sources/rss/report", {
-        source_id: src.id,
-        etag,
-        last_modified: lastModified,
-        last_error: null,
-        seen_keys: [],
-      });
-      return { fetched: 0, ingested: 0, skipped: 0 };
-    }
-
-    const bodyText = await res.text();
-
-    if (!res.ok) throw new Error(`Feed fetch failed ${res.status}: ${bodyText.slice(0, 200)}`);
-
-    // --- DiscoveryAlert category page (HTML list) ---
-    if (isDiscoveryAlertCategory(src.url)) {
-      const links = parseDiscoveryAlertLinks(bodyText).slice(0, maxItems);
-    
-      const keys = links.map((u) => u).filter(Boolean);
-      const seenSet = await fetchSeenKeys(src.id, keys);
-    
-      let ingested = 0;
-      let skipped = 0;
-      const newlySeen = [];
-    
-      for (const link of links) {
-        const key = link;
-        if (seenSet.has(key)) {
-          skipped += 1;
-          continue;
-        }
-    
-        const out = await ingestRssItem({
-          url: link,
-          vertical: src.vertical,
-          sourceId: src.id,
-          sourceName: src.name,
-          sourceType: "rss", // this is media, not corporate
-        });
-    
-        newlySeen.push(key);
-        if (out?.inserted) ingested += 1;
-        else skipped += 1;
-      }
-    
-      await cockpitPost("/api/sources/rss/report", {
-        source_id: src.id,
-        etag,
-        last_modified: lastModified,
-        last_error: null,
-        seen_keys: newlySeen,
-      });
-    
-      return { fetched: links.length, ingested, skipped };
-    }
-    
-    etag = res.headers.get("etag") || etag;
-    lastModified = res.headers.get("last-modified") || lastModified;
-    
-    // --- MarketIndex announcements list (HTML) ---
-    if (isMarketIndexAnnouncementsList(src.url)) {
-      const links = parseMarketIndexAnnouncementLinks(bodyText).slice(0, maxItems);
-    
-      // Treat each link as an "item"
-      const keys = links.map((u) => u).filter(Boolean);
-      const seenSet = await fetchSeenKeys(src.id, keys);
-    
-      let ingested = 0;
-      let skipped = 0;
-      const newlySeen = [];
-    
-      for (const link of links) {
-        const key = link;
-        if (seenSet.has(key)) {
-          skipped += 1;
-          continue;
-        }
-    
-        // Age gate doesn’t apply here reliably (list page doesn’t expose machine dates).
-        // We still rely on your downstream filters and the fact these pages are recent.
-        const out = await ingestRssItem({
-          url: link,
-          vertical: src.vertical,
-          sourceId: src.id,
-          sourceName: src.name,
-          sourceType: "corporate",
-        });
-    
-        newlySeen.push(key);
-        if (out?.inserted) ingested += 1;
-        else skipped += 1;
-      }
-    
-      await cockpitPost("/api/sources/rss/report", {
-        source_id: src.id,
-        etag,
-        last_modified: lastModified,
-        last_error: null,
-        seen_keys: newlySeen,
-      });
-    
-      return { fetched: links.length, ingested, skipped };
+    const feed = await fetchFeed(src);
+    etag = feed.etag;
+    lastModified = feed.lastModified;
+
+    if (feed.notModified) {
+      await reportFeed(src, { etag, lastModified, reasons });
+      return { fetched: 0, ingested: 0, skipped: 0, reasons, notModified: true };
     }
-    
-    // --- RSS/Atom normal path ---
-    const parsed = rssParser.parse(bodyText);
-    const items = pickRssItems(parsed).slice(0, maxItems);
 
-    const keys = items.map(getItemKey).filter(Boolean);
+    const { items } = feed;
+    const layers = await filterLayers(src, domain);
+
+    const keys = items.map((i) => i.key).filter(Boolean);
     const seenSet = await fetchSeenKeys(src.id, keys);
 
     let ingested = 0;
-    let skipped = 0;
     const newlySeen = [];
 
-    for (const item of items) {
-      const key = getItemKey(item);
-      const link = getItemLink(item);
-      if (!key || !link) continue;
+    for (const listed of items) {
+      const { key, link } = listed;
+      if (!key || !link) {
+        reasons.missing_link += 1;
+        continue;
+      }
 
       if (seenSet.has(key)) {
-        skipped += 1;
+        reasons.seen_before += 1;
         continue;
       }
 
-      const gate = shouldSkipFeedItem({ item, domain });
+      const { item, page } = await enrichItem(src, listed);
+
+      const gate = shouldSkipFeedItem({ item, layers });
       if (gate.skip) {
         newlySeen.push(key);
-        skipped += 1;
+        reasons.filtered[gate.reason] = (reasons.filtered[gate.reason] ?? 0) + 1;
         continue;
       }
 
@@ -771,37 +2859,43 @@ async function pollOneFeed(src) {
         vertical: src.vertical,
         sourceId: src.id,
         sourceName: src.name,
-        sourceType,
+        sourceType: item.sourceType,
+        page,
+        cluster: clusterFeedItem(src, item),
       });
 
       newlySeen.push(key);
 
       if (out?.inserted) ingested += 1;
-      else skipped += 1;
+      else reasons.ingest_deduped += 1;
     }
 
-    await cockpitPost("/api/sources/rss/report", {
-      source_id: src.id,
-      etag,
-      last_modified: lastModified,
-      last_error: null,
-      seen_keys: newlySeen,
-    });
+    await reportFeed(src, { etag, lastModified, seenKeys: newlySeen, reasons });
 
-    return { fetched: items.length, ingested, skipped };
+    return { fetched: items.length, ingested, skipped: countSkips(reasons), reasons };
   } catch (e) {
     const lastError = String(e?.message ?? e);
-    await cockpitPost("/api/sources/rss/report", {
-      source_id: src.id,
-      etag,
-      last_modified: lastModified,
-      last_error: lastError,
-      seen_keys: [],
-    });
+    reasons.fetch_error += 1;
+    recordFeedStats(src, { reasons });
+    await reportFeed(src, { etag, lastModified, lastError, reasons });
     throw e;
   }
 }
 
+// Dry run of the filter gates for one source: nothing is ingested or reported.
+async function explainFeed(src) {
+  const layers = await filterLayers(src, feedDomain(src));
+  const { items } = await fetchFeed(src, { conditional: false });
+  const seenSet = await fetchSeenKeys(src.id, items.map((i) => i.key).filter(Boolean));
+  const rows = [];
+  for (const listed of items) {
+    const seen = seenSet.has(listed.key);
+    const { item } = seen ? { item: listed } : await enrichItem(src, listed);
+    rows.push({ item, seen, gate: shouldSkipFeedItem({ item, layers }) });
+  }
+  return rows;
+}
+
 let rssPolling = false;
 let lastRssStatusLogAt = 0;
 
@@ -810,40 +2904,76 @@ async function runRssOnce() {
   rssPolling = true;
 
   try {
-    const limitSources = clampInt(process.env.COCKPIT_RSS_LIMIT_SOURCES || 100, 100, 1, 500);
+    const limitSources = setting("COCKPIT_RSS_LIMIT_SOURCES");
     const out = await cockpitGet(`/api/sources/rss?limit=${encodeURIComponent(String(limitSources))}`);
     const sources = Array.isArray(out?.sources) ? out.sources : [];
+    await applyCockpitFilterRules(out?.filter_rules);
 
-    if (!sources.length) return;
+    if (!sources.length) {
+      recordLoop("rss", true, "no sources");
+      return;
+    }
 
     let totalIngested = 0;
     let totalFetched = 0;
     let totalSkipped = 0;
+    let totalErrors = 0;
+    const totalReasons = newSkipReasons();
 
-    for (const src of sources) {
+    const concurrency = setting("COCKPIT_RSS_CONCURRENCY");
+    const due = sources.filter((src) => !sourceBackingOff(src));
+    const backingOff = sources.length - due.length;
+
+    await runPool(due, concurrency, async (src) => {
       try {
         const r = await pollOneFeed(src);
+        await recordSourceSuccess(src, r);
+        const labels = { source_id: String(src.id), vertical: String(src.vertical ?? "") };
+        feedItems.inc({ ...labels, outcome: "fetched" }, r.fetched);
+        feedItems.inc({ ...labels, outcome: "ingested" }, r.ingested);
+        feedItems.inc({ ...labels, outcome: "skipped" }, r.skipped);
         totalFetched += r.fetched;
         totalIngested += r.ingested;
         totalSkipped += r.skipped;
+        addSkipReasons(totalReasons, r.reasons);
+        recordFeedStats(src, r);
       } catch (e) {
-        await logToBotLogs(
-          `⚠️ RSS poll error for "${src?.name}" (${src?.vertical}): ${String(e?.message ?? e)}`
+        totalErrors += 1;
+        totalReasons.fetch_error += 1;
+        feedErrors.inc({ source_id: String(src?.id), vertical: String(src?.vertical ?? "") });
+        await recordSourceFailure(src, String(e?.message ?? e));
+        await log.warn(
+          `⚠️ RSS poll error for "${src?.name}" (${src?.vertical}): ${String(e?.message ?? e)}`,
+          { loop: "rss", vertical: src?.vertical, source_id: src?.id }
         );
       }
-    }
+    });
+
+    recordLoop(
+      "rss",
+      totalErrors === 0,
+      `sources=${sources.length} fetched=${totalFetched} ingested=${totalIngested} skipped=${totalSkipped} errors=${totalErrors} backing_off=${backingOff}`,
+      due.length === 0 || totalErrors < due.length
+    );
+
+    writeState("feed-stats", feedStats);
+    saveStoryClusters();
 
     const now = Date.now();
     const oneHour = 60 * 60 * 1000;
 
     if (totalIngested > 0 || now - lastRssStatusLogAt >= oneHour) {
-      await logToBotLogs(
-        `📥 RSS inflow: sources=${sources.length} fetched=${totalFetched} ingested=${totalIngested} skipped=${totalSkipped}`
+      await log.info(
+        `📥 RSS inflow: sources=${sources.length} fetched=${totalFetched} ingested=${totalIngested} ${fmtSkipReasons(totalReasons)}`,
+        { loop: "rss" }
       );
       lastRssStatusLogAt = now;
     }
+
+    await maybePostFeedStatsDigest();
   } catch (e) {
-    await logToBotLogs(`🔥 RSS runner crash: ${String(e?.message ?? e)}`);
+    recordLoop("rss", false, String(e?.message ?? e));
+    await log.error(`🔥 RSS runner crash: ${String(e?.message ?? e)}`, { loop: "rss" });
   } finally {
     rssPolling = false;
   }
@@ -851,64 +2981,753 @@ async function runRssOnce() {
 
 async function heartbeatOnce() {
   try {
-    const procMin = process.env.COCKPIT_PROCESS_INTERVAL_MIN || "(unset)";
-    const pubMin = process.env.COCKPIT_PUBLISH_INTERVAL_MIN || "(unset)";
-    const rssMin = process.env.COCKPIT_RSS_INTERVAL_MIN || "(unset)";
-
-    await logToBotLogs(
-      `🫀 Heartbeat ${isoNow()} | process=${procMin}m publish=${pubMin}m rss=${rssMin}m`
+    const { role, loops } = healthReport();
+    const parts = Object.entries(loops).map(
+      ([name, l]) => `${l.ok ? "🟢" : "🔴"} ${name} next ${fmtNextRun(Date.parse(l.nextRunAt))}`
     );
+    const held = VERTICALS.filter((v) => v.briefChannelId && !publishWindowOpen(v)).map(
+      (v) => v.id
+    );
+    if (held.length) parts.push(`🌙 holding ${held.join(", ")}`);
+    if (role === "standby") parts.push("⏸️ standby");
+
+    await log.info(`🫀 Heartbeat ${isoNow()} | ${parts.join(" ")}`, { loop: "heartbeat", role });
   } catch {
     // ignore
   }
 }
 
-// ---------- ready ----------
-client.once("ready", async () => {
-  console.log(`Logged in as ${client.user.tag}`);
-  await logToBotLogs(`🟢 Online as ${client.user.tag}`);
+// ---------- brief feedback ----------
+async function sendBriefFeedback({ processedItemId, feedback, interaction }) {
+  return cockpitPost("/api/brief/feedback", {
+    processed_item_id: processedItemId,
+    feedback,
+    user_id: interaction.user.id,
+    username: interaction.user.username,
+    channel_id: interaction.channelId,
+    message_id: interaction.message?.id ?? null,
+    created_at: isoNow(),
+  });
+}
+
+async function handleFeedbackButton(interaction) {
+  const [, kind, rawId] = interaction.customId.split(":");
+  const processedItemId = Number(rawId);
+  const k = FEEDBACK_KINDS[kind];
+  if (!k || !Number.isFinite(processedItemId)) {
+    await interaction
+      .reply({ content: "⚠️ This feedback button isn't recognised.", flags: MessageFlags.Ephemeral })
+      .catch(() => {});
+    return;
+  }
+
+  try {
+    await sendBriefFeedback({ processedItemId, feedback: kind, interaction });
+    await interaction.reply({
+      content: `${k.emoji} Thanks — recorded as **${k.label}**.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  } catch (e) {
+    const err = String(e?.message ?? e);
+    await log.warn(
+      `⚠️ Feedback failed processed_item_id=${processedItemId}: ${err}`,
+      { item_id: processedItemId }
+    );
+    await interaction
+      .reply({ content: "⚠️ Couldn't record feedback, try again later.", flags: MessageFlags.Ephemeral })
+      .catch(() => {});
+  }
+}
+
+// ---------- slash commands ----------
+const commandDefs = [
+  new SlashCommandBuilder()
+    .setName("ingest")
+    .setDescription("Send a URL to Cockpit for ingestion")
+    .addStringOption((o) => o.setName("url").setDescription("Article URL").setRequired(true))
+    .addStringOption((o) =>
+      o
+        .setName("vertical")
+        .setDescription("Vertical to file it under")
+        .setRequired(true)
+        .addChoices(...VERTICALS.slice(0, 25).map((v) => ({ name: v.label, value: v.id })))
+    )
+    .addStringOption((o) => o.setName("note").setDescription("Optional note for analysts")),
+  new SlashCommandBuilder().setName("status").setDescription("Show the last run of each loop"),
+  new SlashCommandBuilder()
+    .setName("sources")
+    .setDescription("Manage RSS sources")
+    .addSubcommand((sc) =>
+      sc
+        .setName("list")
+        .setDescription("List RSS sources")
+        .addStringOption((o) => o.setName("vertical").setDescription("Only this vertical"))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("pause")
+        .setDescription("Stop polling a source")
+        .addIntegerOption((o) => o.setName("id").setDescription("Source id").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("resume")
+        .setDescription("Resume polling a source")
+        .addIntegerOption((o) => o.setName("id").setDescription("Source id").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("explain")
+        .setDescription("Dry-run the filter rules against a source's current items")
+        .addIntegerOption((o) => o.setName("id").setDescription("Source id").setRequired(true))
+        .addBooleanOption((o) => o.setName("trace").setDescription("Show every rule checked"))
+    ),
+  new SlashCommandBuilder()
+    .setName("watch")
+    .setDescription("Get a DM when a brief mentions something you follow")
+    .addSubcommand((sc) =>
+      sc
+        .setName("add")
+        .setDescription("Follow a keyword, ticker or tag")
+        .addStringOption((o) => o.setName("term").setDescription("e.g. Lynas, LYC, offtake").setRequired(true))
+        .addStringOption((o) =>
+          o
+            .setName("kind")
+            .setDescription("How to match (default: keyword)")
+            .addChoices(...WATCH_KINDS.map((k) => ({ name: k, value: k })))
+        )
+    )
+    .addSubcommand((sc) => sc.setName("list").setDescription("Show what you follow"))
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Stop following a term")
+        .addStringOption((o) => o.setName("term").setDescription("Term to remove").setRequired(true))
+    ),
+  new SlashCommandBuilder()
+    .setName("feedstats")
+    .setDescription("Show per-source skip reasons since the last daily digest")
+    .addIntegerOption((o) => o.setName("source").setDescription("Only this source id")),
+  new SlashCommandBuilder()
+    .setName("run")
+    .setDescription("Run a loop now")
+    .addStringOption((o) =>
+      o
+        .setName("loop")
+        .setDescription("Which loop")
+        .setRequired(true)
+        .addChoices(
+          { name: "rss", value: "rss" },
+          { name: "process", value: "process" },
+          { name: "publish", value: "publish" },
+          { name: "digest (daily)", value: "digest" }
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("config")
+    .setDescription("Inspect or reload bot settings")
+    .addSubcommand((sc) =>
+      sc
+        .setName("show")
+        .setDescription("Show effective settings (secrets redacted)")
+        .addStringOption((o) => o.setName("filter").setDescription("Only keys containing this"))
+    )
+    .addSubcommand((sc) => sc.setName("reload").setDescription("Re-read the config file now")),
+];
+
+async function registerCommands() {
+  const body = commandDefs.map((c) => c.toJSON());
+  if (CFG.commands.guildId) {
+    await client.application.commands.set(body, CFG.commands.guildId);
+  } else {
+    await client.application.commands.set(body);
+  }
+}
+
+// No roles configured means "Manage Server only", so commands are never open to everyone.
+function canUseCommands(interaction) {
+  if (!CFG.commands.roleIds.length) {
+    return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+  }
+  const roles = interaction.member?.roles;
+  const ids = Array.isArray(roles) ? roles : [...(roles?.cache?.keys() ?? [])];
+  return ids.some((id) => CFG.commands.roleIds.includes(id));
+}
+
+function fmtNextRun(ms) {
+  return Number.isFinite(ms) ? `<t:${Math.floor(ms / 1000)}:t>` : "—";
+}
+
+function fmtLoopStatus(s, job = null) {
+  const icon = s.ok === null ? "⚪" : s.ok ? "🟢" : "🔴";
+  const when = s.lastRunAt ? `<t:${Math.floor(Date.parse(s.lastRunAt) / 1000)}:R>` : "never";
+  const next = job?.nextAt
+    ? ` · next <t:${Math.floor(job.nextAt / 1000)}:R> (\`${job.schedule}\`)`
+    : "";
+  return `${icon} **${s.label}** — ${when}${next}\n  ↳ ${s.result}`;
+}
+
+async function handleIngestCommand(interaction) {
+  const [url] = extractUrls(interaction.options.getString("url", true));
+  if (!url) return "⚠️ That doesn't look like an http(s) URL.";
+
+  const vertical = interaction.options.getString("vertical", true);
+  const note = interaction.options.getString("note") ?? "";
+
+  const out = await ingestOne({
+    url,
+    vertical,
+    metadata: note ? { note } : {},
+    message: { channelId: interaction.channelId, id: null, author: interaction.user },
+  });
+  await log.info(
+    `🧾 /ingest by ${interaction.user.username} (${vertical}): ${out?.inserted ? "inserted" : "deduped"} ${url}`,
+    { vertical, user_id: interaction.user.id }
+  );
+  return out?.inserted ? `✅ Ingested into **${vertical}**: <${url}>` : `☑️ Already known: <${url}>`;
+}
+
+function handleWatchCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+  const terms = watchlists[userId] ?? [];
+
+  if (sub === "list") {
+    if (!terms.length) return "You aren't watching anything. Try `/watch add`.";
+    return `**Watching** (${terms.length})\n${terms.map((t) => `• \`${t.value}\` (${t.kind})`).join("\n")}`;
+  }
+
+  if (sub === "remove") {
+    const raw = interaction.options.getString("term", true);
+    const keep = terms.filter((t) => t.value !== normWatchTerm(t.kind, raw));
+    if (keep.length === terms.length) return `You weren't watching \`${raw}\`.`;
+    if (keep.length) watchlists[userId] = keep;
+    else delete watchlists[userId];
+    saveWatchlists();
+    return `🗑️ Stopped watching \`${raw}\`.`;
+  }
+
+  const kind = interaction.options.getString("kind") ?? "keyword";
+  const value = normWatchTerm(kind, interaction.options.getString("term", true));
+  if (value.length < 2 || value.length > 100) return "Terms must be 2–100 characters.";
+  if (terms.some((t) => t.kind === kind && t.value === value)) return `Already watching \`${value}\`.`;
+
+  const max = setting("COCKPIT_WATCH_MAX_TERMS");
+  if (terms.length >= max) return `You can watch at most ${max} terms; remove one first.`;
+
+  watchlists[userId] = [...terms, { kind, value }];
+  saveWatchlists();
+  return `👀 Watching \`${value}\` (${kind}). Matching briefs will arrive by DM.`;
+}
+
+async function handleSourcesCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === "list") {
+    const vertical = interaction.options.getString("vertical") ?? "";
+    const out = await cockpitGet("/api/sources/rss?limit=500&include_paused=1");
+    const sources = (Array.isArray(out?.sources) ? out.sources : []).filter(
+      (s) => !vertical || s.vertical === vertical
+    );
+    if (!sources.length) return "No sources found.";
+
+    const lines = sources.map((s) => {
+      const h = sourceHealth[String(s.id)];
+      const state = s.paused ? "⏸️" : sourceBackingOff(s) ? "⏳" : s.last_error ? "⚠️" : "✅";
+      const retry =
+        !s.paused && sourceBackingOff(s)
+          ? ` — ${h.failures} failures, retry <t:${Math.floor(h.nextAttemptAt / 1000)}:R>`
+          : "";
+      return `${state} \`${s.id}\` **${s.name}** (${s.vertical})${retry}`;
+    });
+    let msg = `**RSS sources** (${sources.length})\n${lines.join("\n")}`;
+    if (msg.length > 1900) msg = msg.slice(0, 1890) + "…";
+    return msg;
+  }
+
+  const id = interaction.options.getInteger("id", true);
+
+  if (sub === "explain") return explainSourceCommand(id, interaction.options.getBoolean("trace"));
+
+  const paused = sub === "pause";
+  await cockpitPost(`/api/sources/rss/${sub}`, { source_id: id });
+  if (!paused) resetSourceBackoff(id);
+  await log.info(
+    `${paused ? "⏸️ Paused" : "▶️ Resumed"} RSS source ${id} (by ${interaction.user.username})`,
+    { source_id: id, user_id: interaction.user.id }
+  );
+  return `${paused ? "⏸️ Paused" : "▶️ Resumed"} source \`${id}\`.`;
+}
+
+async function findSource(id) {
+  const out = await cockpitGet("/api/sources/rss?limit=500&include_paused=1");
+  await applyCockpitFilterRules(out?.filter_rules);
+  const sources = Array.isArray(out?.sources) ? out.sources : [];
+  return sources.find((s) => Number(s.id) === id) ?? null;
+}
+
+async function explainSourceCommand(id, withTrace) {
+  const src = await findSource(id);
+  if (!src) return `No source with id \`${id}\`.`;
+
+  const rows = await explainFeed(src);
+  if (!rows.length) return `**${src.name}**: no items extracted.`;
+
+  const lines = rows.map(({ item, seen, gate }) => {
+    const label = clip(item.title || item.link || item.key, 80);
+    let line;
+    if (seen) line = `☑️ ${label} — seen before`;
+    else if (gate.skip) line = `⛔ ${label} — **${gate.reason}**`;
+    else line = `✅ ${label} — ${gate.acceptedBy.length ? gate.acceptedBy.join(", ") : "no rules apply"}`;
+    if (withTrace) line += `\n${gate.trace.map((t) => `  ↳ ${t}`).join("\n")}`;
+    return line;
+  });
 
-  const procIntervalMin = clampInt(process.env.COCKPIT_PROCESS_INTERVAL_MIN || 10, 10, 1, 1440);
-  const procIntervalMs = procIntervalMin * 60 * 1000;
+  return clip(`**${src.name}** (${src.vertical}) — ${rows.length} items\n${lines.join("\n")}`, 1900);
+}
+
+async function handleRunCommand(interaction) {
+  const loop = interaction.options.getString("loop", true);
+
+  if (loop === "rss") {
+    if (rssPolling) return "⏳ RSS poll already running.";
+    await runRssOnce();
+  } else if (loop === "process") {
+    if (processorRunning) return "⏳ Processor already running.";
+    await runProcessorOnce();
+  } else if (loop === "publish") {
+    const busy = Object.keys(publishLocks).filter((v) => publishLocks[v]);
+    if (busy.length) return `⏳ Publisher already running for: ${busy.join(", ")}`;
+    await runPublisherOnce();
+  } else if (loop === "digest") {
+    if (digestRunning) return "⏳ Digest already running.";
+    await runDigestsOnce({ force: "daily" });
+  } else {
+    return `Unknown loop: ${loop}`;
+  }
+
+  await log.info(
+    `▶️ /run ${loop} by ${interaction.user.username}`,
+    { loop, user_id: interaction.user.id }
+  );
+  return fmtLoopStatus(loopStatus[loop], scheduler.list().find((j) => j.name === loop));
+}
+
+async function handleConfigCommand(interaction) {
+  if (interaction.options.getSubcommand() === "reload") {
+    await log.info(`🔄 /config reload by ${interaction.user.username}`, { user_id: interaction.user.id });
+    return reloadSettings("/config reload");
+  }
+
+  const filter = String(interaction.options.getString("filter") ?? "").trim().toUpperCase();
+  const lines = Object.keys(SETTINGS)
+    .filter((k) => !filter || k.includes(filter))
+    .map((k) => {
+      const tags = [settings.origin[k], SETTINGS[k].restart ? "restart" : ""].filter(Boolean);
+      return `${k} = ${displayValue(k, settings.values[k])}  [${tags.join(", ")}]`;
+    });
+  if (!lines.length) return `No settings match \`${filter}\`.`;
+
+  const header = `Config file: ${CONFIG_FILE || "(none)"} · ${lines.length} settings`;
+  const body = lines.join("\n");
+  if (body.length <= 1800) return `${header}\n\`\`\`\n${body}\n\`\`\``;
+  return {
+    content: header,
+    files: [{ attachment: Buffer.from(`${body}\n`, "utf8"), name: "config.txt" }],
+  };
+}
+
+async function handleCommand(interaction) {
+  switch (interaction.commandName) {
+    case "ingest":
+      return handleIngestCommand(interaction);
+    case "status":
+      return [`Instance \`${INSTANCE_ID}\` (${isLeader() ? "leader" : "standby"})`]
+        .concat(
+          Object.entries(loopStatus).map(([name, st]) =>
+            fmtLoopStatus(st, scheduler.list().find((j) => j.name === name))
+          )
+        )
+        .join("\n");
+    case "sources":
+      return handleSourcesCommand(interaction);
+    case "watch":
+      return handleWatchCommand(interaction);
+    case "feedstats":
+      return fmtFeedStats({ sourceId: interaction.options.getInteger("source") });
+    case "run":
+      return handleRunCommand(interaction);
+    case "config":
+      return handleConfigCommand(interaction);
+    default:
+      return `Unknown command: ${interaction.commandName}`;
+  }
+}
+
+// ---------- scheduler ----------
+// Every recurring job goes through one scheduler (see scheduler.js): cron or "@every" schedules
+// in COCKPIT_SCHEDULE_TZ (or a TZ= prefix), COCKPIT_SCHEDULE_JITTER_SEC of random delay, and a run
+// is skipped while the previous one is still going. Without COCKPIT_*_SCHEDULE the old
+// COCKPIT_*_INTERVAL_MIN settings become "@every Nm", so existing deploys keep their cadence.
+const jobSkips = metrics.counter(
+  "cockpit_job_skipped_total",
+  "Job runs skipped because the previous run was still going"
+);
+
+const scheduler = createScheduler({
+  onError: (e, name) =>
+    log.error(`🔥 Job ${name} crashed: ${String(e?.message ?? e)}`, { loop: name }),
+  onSkip: (name) => {
+    jobSkips.inc({ job: name });
+    log.debug(`Skipped ${name}: previous run still going`, { loop: name });
+  },
+});
+
+metrics.gauge("cockpit_job_next_run_timestamp_seconds", "Unix time of each job's next run", () =>
+  scheduler
+    .list()
+    .filter((j) => j.nextAt)
+    .map((j) => ({ labels: { job: j.name }, value: Math.floor(j.nextAt / 1000) }))
+);
+
+function jobSettings(read = setting) {
+  const timeZone = read("COCKPIT_SCHEDULE_TZ");
+  const jitterMs = read("COCKPIT_SCHEDULE_JITTER_SEC") * 1000;
+  const loop = (name) => ({
+    schedule:
+      read(`COCKPIT_${name}_SCHEDULE`) || `@every ${read(`COCKPIT_${name}_INTERVAL_MIN`)}m`,
+    timeZone,
+    jitterMs,
+  });
+  // These check their own due times every minute.
+  const minutely = { schedule: "* * * * *", timeZone };
+
+  return {
+    process: loop("PROCESS"),
+    publish: loop("PUBLISH"),
+    rss: loop("RSS"),
+    digest: minutely,
+    triage: minutely,
+    windows: minutely,
+    heartbeat: { schedule: read("COCKPIT_HEARTBEAT_SCHEDULE"), timeZone },
+  };
+}
+
+// `firstDelayMs` staggers the first runs of @every jobs after startup.
+const JOBS = {
+  process: { run: runProcessorOnce, firstDelayMs: 25_000 },
+  publish: { run: runPublisherOnce, firstDelayMs: 40_000 },
+  rss: { run: runRssOnce, firstDelayMs: 10_000 },
+  digest: { run: () => runDigestsOnce() },
+  triage: { run: runTriageRemindersOnce },
+  windows: { run: runWindowFlushOnce },
+  heartbeat: { run: heartbeatOnce, firstDelayMs: 60_000 },
+};
+// Everything but the heartbeat runs on the leader only.
+const LEADER_JOBS = Object.keys(JOBS).filter((name) => name !== "heartbeat");
+
+for (const [name, opts] of Object.entries(jobSettings())) {
+  scheduler.add(name, { ...opts, ...JOBS[name] });
+}
+
+// Time between a job's next two runs; the RSS back-off grows from this.
+function jobGapMs(name) {
+  const [a, b] = scheduler.upcoming(name, Date.now(), 2);
+  return a && b ? b - a : 60 * 60 * 1000;
+}
+
+// ---------- config reload ----------
+let reloadingSettings = false;
+
+// Builds everything derived from `values` (job schedules, digest times, filter rules) without
+// touching the running config; problems are pushed onto `errors`.
+function deriveConfig(values, errors) {
+  const read = (key) => settingValue(values, key);
+  const attempt = (fn) => {
+    try {
+      return fn();
+    } catch (e) {
+      errors.push(String(e?.message ?? e));
+      return null;
+    }
+  };
+  return {
+    jobs: attempt(() => {
+      const jobs = jobSettings(read);
+      for (const [name, o] of Object.entries(jobs)) {
+        try {
+          parseSchedule(o.schedule, o.timeZone);
+        } catch (e) {
+          throw new Error(`${name} schedule: ${e.message}`);
+        }
+      }
+      return jobs;
+    }),
+    digest: attempt(() => loadDigestConfig(read)),
+    filterRules: attempt(() => loadFilterRules(read)),
+  };
+}
+
+// Re-reads the config file (on change, SIGHUP or /config reload). An invalid file is rejected as
+// a whole and the running settings stay in place; so is one whose derived config won't build.
+async function reloadSettings(trigger) {
+  if (reloadingSettings) return "⏳ A reload is already running.";
+  reloadingSettings = true;
+
+  try {
+    let next;
+    try {
+      next = await loadSettings();
+    } catch (e) {
+      next = { errors: [String(e?.message ?? e)] };
+    }
+    const derived = next.errors.length ? null : deriveConfig(next.values, next.errors);
+    if (next.errors.length) {
+      const list = next.errors.map((e) => `• ${e}`).join("\n");
+      await log.error(`🔥 Config reload (${trigger}) rejected, keeping current settings:\n${list}`, {
+        trigger,
+      });
+      return `⚠️ Reload rejected, keeping current settings:\n${list}`;
+    }
+
+    const changed = Object.keys(SETTINGS).filter((k) => next.values[k] !== settings.values[k]);
+    settings = next;
+    digestConfig = derived.digest;
+    baseFilterRules = derived.filterRules;
+    // Jobs whose schedule didn't change keep their timer, so a reload doesn't shift everything.
+    for (const [name, opts] of Object.entries(derived.jobs)) scheduler.update(name, opts);
+
+    const restart = changed.filter((k) => SETTINGS[k].restart);
+    const summary =
+      (changed.length ? `changed ${changed.join(", ")}` : "no settings changed") +
+      (restart.length ? `; restart needed for ${restart.join(", ")}` : "");
+    await log.info(`🔄 Config reloaded (${trigger}): ${summary}`, { trigger });
+    return `🔄 Reloaded: ${summary}`;
+  } finally {
+    reloadingSettings = false;
+  }
+}
+
+function watchSettings() {
+  process.on("SIGHUP", () => reloadSettings("SIGHUP"));
+  if (!CONFIG_FILE) return;
+  watchFile(CONFIG_FILE, { interval: 2000 }, (cur, prev) => {
+    if (cur.mtimeMs !== prev.mtimeMs) reloadSettings("file change");
+  });
+}
+
+// ---------- leadership & shutdown ----------
+// COCKPIT_LEADER_LOCK=file|cockpit lets overlapping instances (rolling deploys, a spare replica)
+// share a lease: only its holder runs the scheduled loops, ingests from the raw channels and
+// answers interactions. The others stay connected as warm standbys and take over once the lease
+// lapses (COCKPIT_LEADER_TTL_SEC); a new leader then picks up the raw-channel messages posted
+// during that gap (see backfillIntake).
+// "off" (the default) always leads. The file lock needs storage shared by every instance; the
+// Cockpit lease works across hosts.
+const INSTANCE_ID = setting("COCKPIT_INSTANCE_ID") || `${os.hostname()}:${process.pid}`;
+let shuttingDown = false;
+// When this instance last became leader; /healthz counts staleness from here.
+let leaderSince = null;
+
+function cockpitLease({ holder, ttlMs }) {
+  return {
+    async tryAcquire() {
+      const out = await cockpitPost("/api/bot/lease", { holder, ttl_ms: ttlMs });
+      return out?.acquired === true;
+    },
+    async release() {
+      await cockpitPost("/api/bot/lease/release", { holder });
+    },
+  };
+}
+
+function createElector() {
+  const mode = setting("COCKPIT_LEADER_LOCK");
+  if (mode === "off") return null;
+
+  const ttlMs = setting("COCKPIT_LEADER_TTL_SEC") * 1000;
+  let lease;
+  if (mode === "file") {
+    const file = setting("COCKPIT_LEADER_LOCK_FILE") || path.join(STATE_DIR, "leader.lock");
+    mkdirSync(path.dirname(file), { recursive: true });
+    lease = createFileLease({ file, holder: INSTANCE_ID, ttlMs });
+  } else {
+    lease = cockpitLease({ holder: INSTANCE_ID, ttlMs });
+  }
+
+  return createLeaderElector({
+    lease,
+    ttlMs,
+    onChange: async (leader) => {
+      if (leader) {
+        await log.info(`👑 ${INSTANCE_ID} is now the leader, starting loops`, { role: "leader" });
+        startLoops();
+        await backfillIntake(2 * ttlMs);
+      } else {
+        stopLoops();
+        await log.warn(`⚠️ ${INSTANCE_ID} lost the leader lease, standing by`, {
+          role: "standby",
+        });
+      }
+    },
+    onError: (e) => log.warn(`⚠️ Leader lease renewal failed: ${String(e?.message ?? e)}`),
+  });
+}
+
+const elector = createElector();
+
+function isLeader() {
+  return !elector || elector.isLeader();
+}
+
+metrics.gauge("cockpit_leader", "1 when this instance holds the leader lease", () => [
+  { labels: { instance: INSTANCE_ID }, value: isLeader() ? 1 : 0 },
+]);
+
+function startLoops() {
+  if (shuttingDown) return;
+  leaderSince = Date.now();
+  LEADER_JOBS.forEach((name) => scheduler.start(name));
+}
+
+// Stops scheduling new runs; a run already in progress finishes on its own.
+function stopLoops() {
+  LEADER_JOBS.forEach((name) => scheduler.stop(name));
+}
+
+async function startLeadership() {
+  if (!elector) {
+    startLoops();
+    return;
+  }
+  await elector.start();
+  if (!elector.isLeader()) {
+    await log.info(`⏸️ ${INSTANCE_ID} is on standby, another instance holds the leader lease`, {
+      role: "standby",
+    });
+  }
+}
+
+// Raw-channel messages posted while no instance held the lease reached nobody. A new leader
+// ingests the recent ones (within `windowMs`) that the bot hasn't reacted to yet.
+async function backfillIntake(windowMs) {
+  // Anything newer went through messageCreate, which runs once we lead.
+  const until = Date.now();
+  const since = until - windowMs;
+  let count = 0;
+  for (const channelId of intakeMap.keys()) {
+    try {
+      const ch = await fetchTextChannel(channelId);
+      if (!ch) continue;
+      const msgs = await ch.messages.fetch({ limit: 50 });
+      const missed = [...msgs.values()]
+        .filter((m) => m.createdTimestamp >= since && m.createdTimestamp < until)
+        .filter((m) => !m.reactions.cache.some((r) => r.me))
+        .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+      for (const m of missed) {
+        if (await handleIntakeMessage(m)) count += 1;
+      }
+    } catch (e) {
+      await log.warn(
+        `⚠️ Intake backfill failed for <#${channelId}>: ${String(e?.message ?? e)}`,
+        { channel_id: channelId }
+      );
+    }
+  }
+  if (count) await log.info(`🧾 Backfilled ${count} raw-channel message(s) from the lease handover`);
+}
+
+// Scheduled jobs plus anything started by hand (/run, review approvals).
+function inFlightWork() {
+  const busy = new Set(scheduler.list().filter((j) => j.running).map((j) => j.name));
+  if (rssPolling) busy.add("rss");
+  if (processorRunning) busy.add("process");
+  if (digestRunning) busy.add("digest");
+  for (const v of Object.keys(publishLocks)) if (publishLocks[v]) busy.add(`publish:${v}`);
+  return [...busy];
+}
+
+// SIGTERM/SIGINT: stop scheduling, let feed polls and brief posts finish (up to
+// COCKPIT_SHUTDOWN_TIMEOUT_SEC) so nothing is left half-sent, then hand the lease back before
+// going offline so a standby can take over right away.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  const timeoutMs = setting("COCKPIT_SHUTDOWN_TIMEOUT_SEC") * 1000;
+  stopLoops();
+  scheduler.stop("heartbeat");
+
+  let busy = inFlightWork();
+  if (busy.length) {
+    await log.info(`🟡 ${signal}: waiting for ${busy.join(", ")} to finish`, { signal });
+    const deadline = Date.now() + timeoutMs;
+    while (busy.length && Date.now() < deadline) {
+      await sleep(250);
+      busy = inFlightWork();
+    }
+  }
 
-  setTimeout(runProcessorOnce, 25_000);
-  setInterval(runProcessorOnce, procIntervalMs);
+  await elector?.stop();
+  await log.flush({ all: true });
+  if (busy.length) {
+    await log.warn(`⚠️ Shutdown timed out, abandoning: ${busy.join(", ")}`, { signal });
+  }
+  await log.info(`🔴 Offline (${signal}) ${INSTANCE_ID}`, { signal });
 
-  const pubIntervalMin = clampInt(process.env.COCKPIT_PUBLISH_INTERVAL_MIN || 15, 15, 1, 1440);
-  const pubIntervalMs = pubIntervalMin * 60 * 1000;
+  healthServer?.close();
+  await client.destroy();
+  process.exit(0);
+}
 
-  setTimeout(runPublisherOnce, 40_000);
-  setInterval(runPublisherOnce, pubIntervalMs);
+// ---------- ready ----------
+client.once("ready", async () => {
+  await log.info(`🟢 Online as ${client.user.tag}`);
 
-  const rssIntervalMin = clampInt(process.env.COCKPIT_RSS_INTERVAL_MIN || 10, 10, 1, 1440);
-  const rssIntervalMs = rssIntervalMin * 60 * 1000;
+  try {
+    await registerCommands();
+  } catch (e) {
+    await log.warn(`⚠️ Slash command registration failed: ${String(e?.message ?? e)}`);
+  }
 
-  setTimeout(runRssOnce, 10_000);
-  setInterval(runRssOnce, rssIntervalMs);
+  await startLeadership();
 
-  // Heartbeat (proof-of-life)
-  setTimeout(heartbeatOnce, 60_000);
-  setInterval(heartbeatOnce, 60 * 60 * 1000);
+  // Heartbeat (proof-of-life), from every instance
+  scheduler.start("heartbeat");
 });
 
 // ---------- message handler ----------
-client.on("messageCreate", async (message) => {
+// Resolves to true when the message had something to ingest.
+async function handleIntakeMessage(message) {
   try {
-    if (message.author?.bot) return;
+    if (message.author?.bot) return false;
 
     const route = intakeMap.get(message.channelId);
-    if (!route) return;
+    if (!route) return false;
 
-    const urls = extractUrls(message.content);
-    if (urls.length === 0) return;
+    const { urls, attachments, directives } = await collectIntake(message);
+    if (urls.length === 0 && attachments.length === 0) return false;
+
+    const vertical = directives.vertical ?? route.vertical;
+    const baseMeta = {
+      ...(directives.note ? { note: directives.note } : {}),
+      ...(directives.flags.length ? { flags: directives.flags } : {}),
+      ...(directives.flags.includes("priority") ? { priority: true } : {}),
+      ...(directives.vertical ? { vertical_override: directives.vertical, intake_vertical: route.vertical } : {}),
+    };
 
     let insertedCount = 0;
     let dedupedCount = 0;
     const errs = [];
 
-    for (const url of urls) {
+    for (const { url, origin } of urls) {
       try {
-        const out = await ingestOne({ url, vertical: route.vertical, message });
+        const out = await ingestOne({
+          url,
+          vertical,
+          message,
+          metadata: { ...baseMeta, url_origin: origin },
+        });
         if (out?.inserted) insertedCount += 1;
         else dedupedCount += 1;
       } catch (e) {
@@ -916,23 +3735,111 @@ client.on("messageCreate", async (message) => {
       }
     }
 
+    for (const { attachment, origin } of attachments) {
+      try {
+        const out = await ingestDocument({
+          attachment,
+          vertical,
+          message,
+          metadata: { ...baseMeta, url_origin: origin },
+        });
+        if (out?.inserted) insertedCount += 1;
+        else dedupedCount += 1;
+      } catch (e) {
+        errs.push({ url: attachment.name, err: String(e?.message ?? e) });
+      }
+    }
+
     if (errs.length === 0) {
       if (insertedCount > 0) await message.react("✅");
       if (dedupedCount > 0) await message.react("☑️");
 
-      await logToBotLogs(
-        `🧾 Ingest from <#${message.channelId}>: inserted=${insertedCount}, deduped=${dedupedCount}`
+      await log.info(
+        `🧾 Ingest from <#${message.channelId}> (${vertical}): inserted=${insertedCount}, deduped=${dedupedCount}` +
+          (attachments.length ? ` docs=${attachments.length}` : ""),
+        { vertical, channel_id: message.channelId, message_id: message.id }
       );
     } else {
       await message.react("⚠️");
-      await logToBotLogs(
+      await log.warn(
         `⚠️ Ingest errors from <#${message.channelId}>. inserted=${insertedCount} deduped=${dedupedCount} err=${errs.length}\n` +
-          errs.map((x) => `• ${x.url}\n  ↳ ${x.err}`).join("\n")
+          errs.map((x) => `• ${x.url}\n  ↳ ${x.err}`).join("\n"),
+        { vertical, channel_id: message.channelId, message_id: message.id }
       );
     }
+    return true;
+  } catch (e) {
+    await log.error(
+      `🔥 Handler crash: ${String(e?.message ?? e)}`,
+      { channel_id: message.channelId, message_id: message.id }
+    );
+    return false;
+  }
+}
+
+client.on("messageCreate", async (message) => {
+  // Standbys see the same messages; ingesting there too would post and react twice. Whatever a
+  // standby misses during a handover is backfilled by the next leader.
+  if (!isLeader()) return;
+  await handleIntakeMessage(message);
+});
+
+// ---------- interaction handler ----------
+client.on("interactionCreate", async (interaction) => {
+  // Every instance receives the interaction; only the leader answers it.
+  if (!isLeader()) return;
+  if (shuttingDown && interaction.isRepliable()) {
+    await interaction
+      .reply({ content: "🔴 Restarting, try again in a minute.", flags: MessageFlags.Ephemeral })
+      .catch(() => {});
+    return;
+  }
+
+  if (interaction.isButton() && interaction.customId.startsWith("fb:")) {
+    await handleFeedbackButton(interaction);
+    return;
+  }
+  if (interaction.isButton() && interaction.customId.startsWith("ack:")) {
+    await handleAckButton(interaction);
+    return;
+  }
+  if (interaction.isButton() && interaction.customId.startsWith("rv:")) {
+    await handleReviewButton(interaction);
+    return;
+  }
+  if (!interaction.isChatInputCommand()) return;
+
+  try {
+    // Watchlists are personal, so anyone can manage their own.
+    if (interaction.commandName !== "watch" && !canUseCommands(interaction)) {
+      await interaction.reply({
+        content: "⛔ You don't have a role that can use bot commands.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Loops can take longer than Discord's 3s reply window.
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const out = await handleCommand(interaction);
+    await interaction.editReply(typeof out === "string" ? { content: out } : out);
   } catch (e) {
-    await logToBotLogs(`🔥 Handler crash: ${String(e?.message ?? e)}`);
+    const err = String(e?.message ?? e);
+    await log.error(
+      `🔥 Command crash (/${interaction.commandName}): ${err}`,
+      { command: interaction.commandName, user_id: interaction.user.id }
+    );
+    const reply = { content: `⚠️ ${err.slice(0, 300)}` };
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply(reply).catch(() => {});
+    } else {
+      await interaction.reply({ ...reply, flags: MessageFlags.Ephemeral }).catch(() => {});
+    }
   }
 });
 
+const healthServer = startHealthServer();
+watchSettings();
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 client.login(CFG.token);
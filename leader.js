@@ -0,0 +1,149 @@
+// Leader election for overlapping deploys: only the instance holding the lease runs the
+// scheduled loops. A lease store implements
+//   tryAcquire() -> Promise<boolean>   take or renew the lease for this holder
+//   release()    -> Promise<void>      give it up (best effort)
+// and the elector renews it every `renewMs` (a third of the TTL by default), calling
+// onChange(isLeader) on every transition.
+
+import { randomBytes } from "node:crypto";
+import { linkSync, readFileSync, renameSync, unlinkSync, writeFileSync } from "node:fs";
+
+// A lease in a JSON file on storage shared by the instances. The file is only ever created with
+// linkSync (fails if it exists), so two contenders can't both create it. To renew or take over
+// an expired or unparsable lease, the file is first renamed to a private name (only one
+// contender's rename succeeds), checked again, and a fresh one is linked in. An instance that
+// stalls past its TTL can still lead until its next renewal finds the lease gone.
+export function createFileLease({ file, holder, ttlMs, now = Date.now }) {
+  const tag = `${process.pid}.${randomBytes(4).toString("hex")}`;
+  const tmp = `${file}.${tag}.tmp`;
+  const claim = `${file}.${tag}.claim`;
+
+  function read(path = file) {
+    try {
+      return JSON.parse(readFileSync(path, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  function liveElsewhere(l) {
+    return Boolean(l) && l.holder !== holder && Number(l.expiresAt) >= now();
+  }
+
+  function unlinkQuiet(path) {
+    try {
+      unlinkSync(path);
+    } catch {
+      // already gone
+    }
+  }
+
+  // Links a fresh lease into place; false when someone else's file got there first.
+  function create() {
+    writeFileSync(tmp, JSON.stringify({ holder, expiresAt: now() + ttlMs }));
+    try {
+      linkSync(tmp, file);
+      return true;
+    } catch (e) {
+      if (e?.code === "EEXIST") return false;
+      throw e;
+    } finally {
+      unlinkQuiet(tmp);
+    }
+  }
+
+  async function tryAcquire() {
+    if (liveElsewhere(read())) return false;
+
+    try {
+      renameSync(file, claim);
+    } catch (e) {
+      // Missing: just try to create it. (Another contender may have claimed it first; the
+      // exclusive link below sorts that out.)
+      if (e?.code !== "ENOENT") throw e;
+      return create();
+    }
+
+    // Someone renewed or replaced the lease between our read and the rename: put it back.
+    const claimed = read(claim);
+    if (liveElsewhere(claimed)) {
+      try {
+        linkSync(claim, file);
+      } catch {
+        // a newer lease is already in place
+      }
+      unlinkQuiet(claim);
+      return false;
+    }
+    unlinkQuiet(claim);
+    return create();
+  }
+
+  async function release() {
+    if (read()?.holder !== holder) return;
+    unlinkQuiet(file);
+  }
+
+  return { tryAcquire, release };
+}
+
+export function createLeaderElector({
+  lease,
+  ttlMs,
+  renewMs = Math.floor(ttlMs / 3),
+  onChange,
+  onError = () => {},
+  now = Date.now,
+}) {
+  let leader = false;
+  let renewedAt = 0;
+  let timer = null;
+  let stopped = false;
+  let ticking = false;
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await renew();
+    } finally {
+      ticking = false;
+    }
+  }
+
+  async function renew() {
+    let next;
+    try {
+      next = await lease.tryAcquire();
+      if (next) renewedAt = now();
+    } catch (e) {
+      // Can't reach the lease store: keep leading only until our lease would have lapsed, since
+      // after that another instance may take it.
+      onError(e);
+      next = leader && now() - renewedAt < ttlMs;
+    }
+    if (stopped) return;
+    if (next !== leader) {
+      leader = next;
+      await onChange(leader);
+    }
+  }
+
+  return {
+    isLeader: () => leader,
+    async start() {
+      stopped = false;
+      await tick();
+      timer = setInterval(tick, renewMs);
+    },
+    // Stops renewing and releases the lease; does not call onChange.
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      if (leader) {
+        leader = false;
+        await lease.release().catch(onError);
+      }
+    },
+  };
+}
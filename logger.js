@@ -0,0 +1,95 @@
+// Levelled, structured logging. Every entry is written to stdout as one JSON line; entries at or
+// above `discordLevel` are also handed to `sendToDiscord`. Repeats of the same warning or error
+// within `dedupWindowMs` are counted instead of re-sent, and a single "N occurrences" summary
+// goes out once the window closes.
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: 100 };
+
+function levelValue(name, def) {
+  return LEVELS[String(name ?? "").toLowerCase()] ?? LEVELS[def];
+}
+
+function errorFields(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields ?? {})) {
+    if (v === undefined) continue;
+    out[k] = v instanceof Error ? v.message : v;
+  }
+  return out;
+}
+
+export function createLogger({
+  level = "info",
+  discordLevel = "info",
+  dedupWindowMs = 60 * 60 * 1000,
+  sendToDiscord = null,
+  write = (line) => process.stdout.write(`${line}\n`),
+  now = Date.now,
+  base = {},
+}) {
+  const minStdout = levelValue(level, "info");
+  const minDiscord = levelValue(discordLevel, "info");
+  // `${level}|${msg}` -> { level, msg, fields, firstAt, suppressed }
+  const repeats = new Map();
+
+  function emit(lvl, msg, fields) {
+    const entry = { ts: new Date(now()).toISOString(), level: lvl, msg, ...fields };
+    if (LEVELS[lvl] >= minStdout) write(JSON.stringify(entry));
+  }
+
+  async function toDiscord(text) {
+    if (!sendToDiscord) return;
+    try {
+      await sendToDiscord(text);
+    } catch (e) {
+      // Written to stdout only, so a broken log channel can't feed back into itself.
+      emit("error", "Discord log delivery failed", { error: String(e?.message ?? e) });
+    }
+  }
+
+  async function flush({ all = false } = {}) {
+    const t = now();
+    for (const [key, r] of repeats) {
+      if (!all && t - r.firstAt < dedupWindowMs) continue;
+      repeats.delete(key);
+      if (!r.suppressed) continue;
+
+      const mins = Math.max(1, Math.round(Math.min(t - r.firstAt, dedupWindowMs) / 60000));
+      const summary = `🔁 ${r.suppressed + 1} occurrences in the last ${mins}m: ${r.msg}`;
+      emit(r.level, summary, { ...r.fields, occurrences: r.suppressed + 1 });
+      if (LEVELS[r.level] >= minDiscord) await toDiscord(summary);
+    }
+  }
+
+  async function log(lvl, msg, fields = {}) {
+    const f = { ...base, ...errorFields(fields) };
+    const text = String(msg ?? "");
+
+    if (dedupWindowMs > 0 && LEVELS[lvl] >= LEVELS.warn) {
+      await flush();
+      const key = `${lvl}|${text}`;
+      const r = repeats.get(key);
+      if (r && now() - r.firstAt < dedupWindowMs) {
+        r.suppressed += 1;
+        emit(lvl, text, { ...f, repeat: r.suppressed });
+        return;
+      }
+      repeats.set(key, { level: lvl, msg: text, fields: f, firstAt: now(), suppressed: 0 });
+    }
+
+    emit(lvl, text, f);
+    if (LEVELS[lvl] >= minDiscord) await toDiscord(text);
+  }
+
+  const timer = dedupWindowMs > 0 ? setInterval(() => flush(), 60_000) : null;
+  timer?.unref?.();
+
+  const logger = {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+    flush,
+  };
+  return logger;
+}
@@ -0,0 +1,86 @@
+// A small in-process metrics registry rendered in the Prometheus text exposition format
+// (version 0.0.4). Counters and gauges are keyed by their label set; summaries only keep _sum
+// and _count, which is enough for rate()-based latency averages.
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  const keys = Object.keys(labels).sort();
+  if (!keys.length) return "";
+  return `{${keys.map((k) => `${k}="${escapeLabel(labels[k])}"`).join(",")}}`;
+}
+
+function fmtValue(n) {
+  if (Number.isNaN(n)) return "NaN";
+  if (n === Infinity) return "+Inf";
+  if (n === -Infinity) return "-Inf";
+  return String(n);
+}
+
+export function createMetrics() {
+  const families = [];
+
+  function family(name, help, type) {
+    const f = { name, help, type, series: new Map(), collect: null };
+    families.push(f);
+    return f;
+  }
+
+  function counter(name, help) {
+    const f = family(name, help, "counter");
+    return {
+      inc(labels = {}, by = 1) {
+        const k = labelKey(labels);
+        f.series.set(k, (f.series.get(k) ?? 0) + by);
+      },
+    };
+  }
+
+  // `collect` (optional) is called at render time and returns [{ labels, value }], for values
+  // that are cheaper to read on demand than to keep updated.
+  function gauge(name, help, collect = null) {
+    const f = family(name, help, "gauge");
+    f.collect = collect;
+    return {
+      set(labels = {}, value = 0) {
+        f.series.set(labelKey(labels), value);
+      },
+    };
+  }
+
+  function summary(name, help) {
+    const f = family(name, help, "summary");
+    return {
+      observe(labels = {}, value = 0) {
+        const k = labelKey(labels);
+        const cur = f.series.get(k) ?? { sum: 0, count: 0 };
+        cur.sum += value;
+        cur.count += 1;
+        f.series.set(k, cur);
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const f of families) {
+      lines.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+
+      const series = new Map(f.series);
+      for (const { labels, value } of f.collect?.() ?? []) series.set(labelKey(labels ?? {}), value);
+
+      for (const [k, v] of series) {
+        if (f.type === "summary") {
+          lines.push(`${f.name}_sum${k} ${fmtValue(v.sum)}`, `${f.name}_count${k} ${fmtValue(v.count)}`);
+        } else {
+          lines.push(`${f.name}${k} ${fmtValue(Number(v))}`);
+        }
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, summary, render };
+}
@@ -0,0 +1,116 @@
+// Pulls title / publish date / canonical URL out of an article page's HTML, preferring
+// structured data: JSON-LD, then OpenGraph/article: meta tags, then <title>.
+
+function decodeEntities(s) {
+  return String(s || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function attrs(tag) {
+  const out = {};
+  const re = /([a-z:_-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let m;
+  while ((m = re.exec(tag)) !== null) {
+    out[m[1].toLowerCase()] = decodeEntities(m[3] ?? m[4] ?? m[5] ?? "");
+  }
+  return out;
+}
+
+function metaTags(html) {
+  const out = {};
+  for (const tag of html.match(/<meta\b[^>]*>/gi) ?? []) {
+    const a = attrs(tag);
+    const k = (a.property || a.name || a.itemprop || "").toLowerCase();
+    if (k && a.content && out[k] === undefined) out[k] = a.content;
+  }
+  return out;
+}
+
+function canonicalHref(html) {
+  for (const tag of html.match(/<link\b[^>]*>/gi) ?? []) {
+    const a = attrs(tag);
+    if (String(a.rel || "").toLowerCase().split(/\s+/).includes("canonical") && a.href) return a.href;
+  }
+  return "";
+}
+
+// Flattens JSON-LD blocks (arrays and @graph) into a list of nodes.
+function jsonLdNodes(html) {
+  const nodes = [];
+  const re = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(m[1].trim());
+    } catch {
+      continue;
+    }
+    const stack = [data];
+    while (stack.length) {
+      const n = stack.pop();
+      if (Array.isArray(n)) stack.push(...n);
+      else if (n && typeof n === "object") {
+        nodes.push(n);
+        if (n["@graph"]) stack.push(n["@graph"]);
+      }
+    }
+  }
+  return nodes;
+}
+
+function isArticleNode(n) {
+  const types = [].concat(n?.["@type"] ?? []).map(String);
+  return types.some((t) => /Article|Posting|Report|NewsArticle|BlogPosting/i.test(t));
+}
+
+function toDate(s) {
+  const t = Date.parse(String(s || ""));
+  return Number.isFinite(t) ? new Date(t) : null;
+}
+
+function absolute(href, baseUrl) {
+  if (!href) return "";
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch {
+    return "";
+  }
+}
+
+// Returns { title, published, canonical, description }; missing fields are "" / null.
+export function extractPageMeta(html, baseUrl) {
+  const page = String(html || "");
+  const meta = metaTags(page);
+  const ld = jsonLdNodes(page);
+  const article = ld.find(isArticleNode) ?? ld.find((n) => n.datePublished || n.headline) ?? {};
+
+  const docTitle = decodeEntities(/<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(page)?.[1] ?? "");
+
+  const title =
+    decodeEntities(article.headline ?? "") ||
+    meta["og:title"] ||
+    meta["twitter:title"] ||
+    docTitle;
+
+  const published =
+    toDate(article.datePublished) ??
+    toDate(meta["article:published_time"]) ??
+    toDate(meta["datepublished"]) ??
+    toDate(meta["date"]) ??
+    toDate(meta["dc.date"]) ??
+    null;
+
+  const canonical = absolute(canonicalHref(page) || meta["og:url"] || "", baseUrl);
+  const description = meta["og:description"] || meta["description"] || "";
+
+  return { title: title.slice(0, 500), published, canonical, description: description.slice(0, 2000) };
+}
@@ -0,0 +1,226 @@
+// Declarative feed filter rules.
+//
+// A ruleset looks like:
+//   {
+//     "name": "sec",                 // optional, used in skip reasons
+//     "inherit": true,               // false stops less specific layers from running
+//     "max_age_hours": 48,           // optional age gate
+//     "rules": [
+//       { "id": "sec_material", "action": "include", "when": { "field": "title", "keywords": ["award"] } },
+//       { "id": "no_webinars", "action": "exclude", "when": { "regex": "\\bwebinar\\b", "flags": "i" } }
+//     ]
+//   }
+//
+// Conditions:
+//   { field?, keywords: [...] }   any keyword appears (case-insensitive)
+//   { field?, regex, flags? }     regex matches
+//   { older_than_hours: n }       item is dated and older than n hours
+//   { all: [...] } | { any: [...] } | { not: cond }
+// field is one of title | summary | categories | link | text (default text = all of them).
+//
+// Layers are evaluated most specific first (source, domain, vertical, global). In each layer a
+// matching exclude rejects; if the layer has include rules, at least one must match.
+
+const FIELDS = new Set(["title", "summary", "categories", "link", "text"]);
+
+function fieldText(item, field) {
+  const categories = Array.isArray(item?.categories) ? item.categories.join(" ") : "";
+  switch (field) {
+    case "title":
+      return String(item?.title ?? "");
+    case "summary":
+      return String(item?.summary ?? "");
+    case "categories":
+      return categories;
+    case "link":
+      return String(item?.link ?? "");
+    default:
+      return [item?.title, item?.summary, categories, item?.link].filter(Boolean).join("\n");
+  }
+}
+
+const regexCache = new Map();
+
+function compileRegex(source, flags) {
+  const k = `${flags}/${source}`;
+  if (!regexCache.has(k)) regexCache.set(k, new RegExp(source, flags));
+  return regexCache.get(k);
+}
+
+function describe(cond) {
+  if (cond.keywords) {
+    const more = cond.keywords.length > 5 ? ", …" : "";
+    return `${cond.field || "text"} has any of [${cond.keywords.slice(0, 5).join(", ")}${more}]`;
+  }
+  if (cond.regex) return `${cond.field || "text"} ~ /${cond.regex}/${cond.flags ?? "i"}`;
+  if (cond.older_than_hours !== undefined) return `older than ${cond.older_than_hours}h`;
+  if (cond.all) return `all(${cond.all.map(describe).join(", ")})`;
+  if (cond.any) return `any(${cond.any.map(describe).join(", ")})`;
+  if (cond.not) return `not(${describe(cond.not)})`;
+  return "?";
+}
+
+// Returns { match, detail } where detail names what matched (e.g. the keyword hit).
+function testCondition(cond, item, now) {
+  if (!cond || typeof cond !== "object") return { match: false, detail: "empty condition" };
+
+  if (Array.isArray(cond.all)) {
+    for (const c of cond.all) {
+      const r = testCondition(c, item, now);
+      if (!r.match) return { match: false, detail: r.detail };
+    }
+    return { match: true, detail: describe(cond) };
+  }
+  if (Array.isArray(cond.any)) {
+    for (const c of cond.any) {
+      const r = testCondition(c, item, now);
+      if (r.match) return r;
+    }
+    return { match: false, detail: describe(cond) };
+  }
+  if (cond.not) {
+    const r = testCondition(cond.not, item, now);
+    return { match: !r.match, detail: `not(${r.detail})` };
+  }
+
+  if (cond.older_than_hours !== undefined) {
+    const t = item?.date instanceof Date ? item.date.getTime() : NaN;
+    if (!Number.isFinite(t)) return { match: false, detail: "undated" };
+    const hrs = Number(cond.older_than_hours);
+    const match = t < now - hrs * 60 * 60 * 1000;
+    return { match, detail: `${match ? "older than" : "within"} ${hrs}h` };
+  }
+
+  const field = FIELDS.has(cond.field) ? cond.field : "text";
+  const text = fieldText(item, field);
+
+  if (Array.isArray(cond.keywords)) {
+    const lower = text.toLowerCase();
+    const hit = cond.keywords.find((k) => lower.includes(String(k).toLowerCase()));
+    return hit
+      ? { match: true, detail: `${field} has "${hit}"` }
+      : { match: false, detail: describe(cond) };
+  }
+
+  if (typeof cond.regex === "string") {
+    let re;
+    try {
+      re = compileRegex(cond.regex, cond.flags ?? "i");
+    } catch (e) {
+      return { match: false, detail: `invalid regex /${cond.regex}/: ${e.message}` };
+    }
+    const m = re.exec(text);
+    return m
+      ? { match: true, detail: `${field} matched "${m[0].slice(0, 60)}"` }
+      : { match: false, detail: describe(cond) };
+  }
+
+  return { match: false, detail: "unknown condition" };
+}
+
+// Accepts an object or a JSON string (as stored on Cockpit sources); returns null when empty.
+export function parseRuleset(raw) {
+  if (!raw) return null;
+  const rs = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!rs || typeof rs !== "object") return null;
+  return {
+    name: rs.name ? String(rs.name) : "",
+    inherit: rs.inherit !== false,
+    max_age_hours:
+      rs.max_age_hours != null && Number.isFinite(Number(rs.max_age_hours))
+        ? Number(rs.max_age_hours)
+        : null,
+    rules: Array.isArray(rs.rules)
+      ? rs.rules.map((r, i) => ({
+          id: String(r?.id ?? `rule${i + 1}`),
+          action: r?.action === "include" ? "include" : "exclude",
+          when: r?.when ?? null,
+        }))
+      : [],
+  };
+}
+
+// Field by field, with rules merged by id, so an extra global ruleset adds to the one below it
+// (and its age gate) instead of replacing it.
+export function mergeRuleset(base, extra) {
+  const obj = (r) => (typeof r === "string" ? JSON.parse(r) : r);
+  const a = obj(base);
+  const b = obj(extra);
+  if (!b || typeof b !== "object") return a;
+  if (!a || typeof a !== "object") return b;
+  const list = (r) => (Array.isArray(r.rules) ? r.rules : []);
+  const rules = new Map();
+  [...list(a), ...list(b)].forEach((r, i) => rules.set(r?.id ?? i, r));
+  return { ...a, ...b, rules: [...rules.values()] };
+}
+
+// Layers filter rules ({ global, domains, verticals }) from `extra` over `base`: domains and
+// verticals per key (hosts without "www."), global via mergeRuleset.
+export function mergeFilterRules(base, extra) {
+  if (!extra || typeof extra !== "object") return base;
+  const norm = (m) =>
+    Object.fromEntries(
+      Object.entries(m ?? {}).map(([k, v]) => [k.toLowerCase().replace(/^www\./, ""), v])
+    );
+  return {
+    global: mergeRuleset(base.global, extra.global),
+    domains: { ...base.domains, ...norm(extra.domains) },
+    verticals: { ...base.verticals, ...norm(extra.verticals) },
+  };
+}
+
+// layers: [{ layer: "source" | "domain" | "vertical" | "global", ruleset }], most specific first.
+// Returns { skip, reason, layer, rule, acceptedBy, trace }: acceptedBy names the include rules
+// that let the item through, trace lists every rule that was checked.
+export function evaluateRules(item, layers, now = Date.now()) {
+  const trace = [];
+  const acceptedBy = [];
+  const active = [];
+  for (const l of layers) {
+    if (!l?.ruleset) continue;
+    active.push(l);
+    if (!l.ruleset.inherit) break;
+  }
+
+  // Age gate: the most specific layer that sets one wins.
+  const ageLayer = active.find((l) => l.ruleset.max_age_hours !== null);
+  if (ageLayer) {
+    const hrs = ageLayer.ruleset.max_age_hours;
+    const r = testCondition({ older_than_hours: hrs }, item, now);
+    trace.push(`${ageLayer.layer}:max_age ${r.match ? "REJECT" : "pass"} (${r.detail})`);
+    if (r.match) {
+      return { skip: true, reason: `old>${hrs}h`, layer: ageLayer.layer, rule: "max_age", acceptedBy, trace };
+    }
+  }
+
+  for (const { layer, ruleset } of active) {
+    const label = ruleset.name || layer;
+
+    for (const rule of ruleset.rules.filter((r) => r.action === "exclude")) {
+      const r = testCondition(rule.when, item, now);
+      trace.push(`${label}:${rule.id} exclude ${r.match ? "REJECT" : "no match"} (${r.detail})`);
+      if (r.match) {
+        return { skip: true, reason: `${label}:${rule.id}`, layer, rule: rule.id, acceptedBy, trace };
+      }
+    }
+
+    const includes = ruleset.rules.filter((r) => r.action === "include");
+    if (!includes.length) continue;
+
+    let accepted = null;
+    for (const rule of includes) {
+      const r = testCondition(rule.when, item, now);
+      trace.push(`${label}:${rule.id} include ${r.match ? "ACCEPT" : "no match"} (${r.detail})`);
+      if (r.match) {
+        accepted = `${label}:${rule.id}`;
+        break;
+      }
+    }
+    if (!accepted) {
+      return { skip: true, reason: `${label}:no_include_match`, layer, rule: null, acceptedBy, trace };
+    }
+    acceptedBy.push(accepted);
+  }
+
+  return { skip: false, reason: null, layer: null, rule: null, acceptedBy, trace };
+}
@@ -0,0 +1,388 @@
+// Job scheduling on cron expressions evaluated in a time zone, plus the time-of-day windows used
+// for publishing hours. A schedule string is one of
+//   "*/15 7-19 * * mon-fri"            five-field cron (minute hour day-of-month month weekday)
+//   "TZ=Europe/London 30 6 * * *"      the same with its own zone (CRON_TZ= works too)
+//   "@hourly" / "@daily" / "@weekly" / "@monthly" / "@yearly"
+//   "@every 10m"                       fixed interval (s/m/h) counted from when the job starts
+// As in cron, when both day-of-month and weekday are restricted a day matching either runs.
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: "weekday", min: 0, max: 7, names: WEEKDAYS, offset: 0 },
+];
+// setTimeout overflows past ~24.8 days; longer waits are chained.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        month: "numeric",
+        day: "numeric",
+        weekday: "short",
+        hour: "numeric",
+        minute: "numeric",
+        hourCycle: "h23",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+export function assertTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+  } catch {
+    throw new Error(`unknown time zone "${timeZone}"`);
+  }
+}
+
+// Wall-clock fields of `ms` in `timeZone`: { minute, hour, day, month, weekday (0 = Sunday) }.
+export function zonedParts(ms, timeZone) {
+  const p = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(new Date(ms))
+      .map((x) => [x.type, x.value])
+  );
+  return {
+    minute: Number(p.minute),
+    hour: Number(p.hour),
+    day: Number(p.day),
+    month: Number(p.month),
+    weekday: WEEKDAYS.indexOf(p.weekday.toLowerCase()),
+  };
+}
+
+function parseValue(raw, f) {
+  const byName = f.names?.indexOf(raw.toLowerCase()) ?? -1;
+  const n = byName >= 0 ? byName + f.offset : /^\d+$/.test(raw) ? Number(raw) : NaN;
+  if (!Number.isInteger(n) || n < f.min || n > f.max) {
+    throw new Error(`bad ${f.name} value "${raw}"`);
+  }
+  return n;
+}
+
+function parseField(raw, f) {
+  const out = new Set();
+  for (const part of raw.split(",")) {
+    const m = /^([^/]+)(?:\/(\d+))?$/.exec(part);
+    if (!m || m[2] === "0") throw new Error(`bad ${f.name} field "${raw}"`);
+
+    const step = Number(m[2] ?? 1);
+    let lo;
+    let hi;
+    if (m[1] === "*") {
+      lo = f.min;
+      hi = f.max;
+    } else if (m[1].includes("-")) {
+      const [a, b] = m[1].split("-");
+      lo = parseValue(a, f);
+      hi = parseValue(b, f);
+      if (lo > hi) throw new Error(`bad ${f.name} range "${m[1]}"`);
+    } else {
+      lo = parseValue(m[1], f);
+      hi = m[2] ? f.max : lo;
+    }
+    for (let n = lo; n <= hi; n += step) out.add(n);
+  }
+  return out;
+}
+
+// Throws on anything it can't schedule; `defaultTz` applies unless the string names its own zone.
+export function parseSchedule(spec, defaultTz = "UTC") {
+  let rest = String(spec ?? "").trim();
+  let timeZone = defaultTz;
+
+  const tz = /^(?:CRON_)?TZ=(\S+)\s+/i.exec(rest);
+  if (tz) {
+    timeZone = tz[1];
+    rest = rest.slice(tz[0].length);
+  }
+  assertTimeZone(timeZone);
+
+  const every = /^@every\s+(\d+)\s*([smh])$/i.exec(rest);
+  if (every) {
+    const ms = Number(every[1]) * { s: 1000, m: 60_000, h: 3_600_000 }[every[2].toLowerCase()];
+    if (ms < 1000) throw new Error(`@every needs a positive interval, got "${rest}"`);
+    return { kind: "every", ms, timeZone, source: String(spec).trim() };
+  }
+
+  const expr = MACROS[rest.toLowerCase()] ?? rest;
+  const parts = expr.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`expected 5 cron fields, @every <n>m or a @macro, got "${rest}"`);
+  }
+
+  const [minute, hour, day, month, weekday] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekday.delete(7)) weekday.add(0);
+  const schedule = {
+    kind: "cron",
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+    timeZone,
+    source: String(spec).trim(),
+  };
+  // "0 0 30 2 *" parses but never fires; a job on it would silently never run.
+  if (!canFire(schedule)) throw new Error(`"${rest}" never fires`);
+  return schedule;
+}
+
+// Only a restricted day-of-month with any weekday can miss every date: it fires if one of its
+// days exists in one of its months (Feb 29 counts, it comes round in leap years). A restricted
+// weekday always fires, since every month has every weekday.
+function canFire(s) {
+  if (s.anyDay || !s.anyWeekday) return true;
+  return [...s.month].some((m) => [...s.day].some((d) => d <= MONTH_DAYS[m - 1]));
+}
+
+function dayMatches(s, p) {
+  if (!s.month.has(p.month)) return false;
+  if (s.anyDay && s.anyWeekday) return true;
+  if (s.anyDay) return s.weekday.has(p.weekday);
+  if (s.anyWeekday) return s.day.has(p.day);
+  return s.day.has(p.day) || s.weekday.has(p.weekday);
+}
+
+// First run strictly after `after` (ms), or null when the expression never fires (e.g. Feb 30).
+// `anchor` is where @every intervals count from. Local times skipped by a DST change don't run;
+// repeated ones run once per matching UTC minute.
+export function nextRun(schedule, after, anchor = after) {
+  if (schedule.kind === "every") {
+    const k = Math.floor((after - anchor) / schedule.ms) + 1;
+    return anchor + Math.max(1, k) * schedule.ms;
+  }
+
+  let t = Math.floor(after / 60_000) * 60_000 + 60_000;
+  // Stepping an hour at a time when the day or hour is wrong covers ~4 years in 35k checks.
+  for (let i = 0; i < 40_000; i += 1) {
+    const p = zonedParts(t, schedule.timeZone);
+    if (!dayMatches(schedule, p) || !schedule.hour.has(p.hour)) {
+      t += (60 - p.minute) * 60_000;
+    } else if (!schedule.minute.has(p.minute)) {
+      t += 60_000;
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+// Publishing windows / quiet hours: "[days ]HH:MM-HH:MM", separated by commas or semicolons or
+// given as an array, e.g. "mon-fri 07:00-20:00, sat 09:00-12:00", "mon,wed 07:00-09:00; fri
+// 07:00-12:00" or "22:00-06:30". A range that ends before it starts runs past midnight; its days
+// name the day it starts on.
+export function parseTimeWindows(spec) {
+  const list = Array.isArray(spec) ? spec : splitWindows(String(spec ?? ""));
+  return list
+    .map((x) => String(x ?? "").trim())
+    .filter(Boolean)
+    .map((raw) => {
+      const m = /^(?:([a-z0-7,-]+)\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/i.exec(raw);
+      if (!m) throw new Error(`bad time window "${raw}", expected e.g. "mon-fri 07:00-20:00"`);
+
+      const [start, end] = [
+        [m[2], m[3]],
+        [m[4], m[5]],
+      ].map(([h, min]) => {
+        if (Number(h) > 24 || Number(min) > 59 || (Number(h) === 24 && Number(min) > 0)) {
+          throw new Error(`bad time "${h}:${min}" in window "${raw}"`);
+        }
+        return Number(h) * 60 + Number(min);
+      });
+      let days = null;
+      if (m[1]) {
+        try {
+          days = parseField(m[1].toLowerCase(), FIELDS[4]);
+        } catch (e) {
+          throw new Error(`${e.message} in window "${raw}"`);
+        }
+      }
+      if (days?.delete(7)) days.add(0);
+      return { days, start, end, source: raw };
+    });
+}
+
+// A separator only counts after a time range, so a day list ("mon,wed") keeps its commas.
+function splitWindows(text) {
+  const re = /\s*((?:[a-z0-7,-]+\s+)?\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2})\s*(?:[,;]|$)/iy;
+  const out = [];
+  while (text.slice(re.lastIndex).trim()) {
+    const rest = text.slice(re.lastIndex).trim();
+    const m = re.exec(text);
+    if (!m) throw new Error(`bad time window "${rest}", expected e.g. "mon-fri 07:00-20:00"`);
+    out.push(m[1]);
+  }
+  return out;
+}
+
+export function inTimeWindows(windows, ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const minutes = p.hour * 60 + p.minute;
+  const yesterday = (p.weekday + 6) % 7;
+
+  return windows.some((w) => {
+    if (w.start <= w.end) {
+      return minutes >= w.start && minutes < w.end && (!w.days || w.days.has(p.weekday));
+    }
+    if (minutes >= w.start) return !w.days || w.days.has(p.weekday);
+    return minutes < w.end && (!w.days || w.days.has(yesterday));
+  });
+}
+
+// Runs named jobs on their schedules. A job whose previous run is still going when its time comes
+// is skipped rather than queued; `jitterMs` delays each run by a random amount up to that much so
+// several instances or jobs don't hit Cockpit in the same second. Jobs are added stopped.
+export function createScheduler({ onError = () => {}, onSkip = () => {}, now = Date.now, random = Math.random } = {}) {
+  const jobs = new Map();
+
+  function arm(job, after) {
+    clearTimeout(job.timer);
+    job.slotAt = nextRun(job.schedule, after, job.anchor);
+    job.nextAt = job.slotAt === null ? null : job.slotAt + Math.floor(random() * job.jitterMs);
+    wait(job);
+  }
+
+  function wait(job) {
+    if (job.nextAt === null) return;
+    const delay = job.nextAt - now();
+    job.timer = setTimeout(
+      () => (job.nextAt - now() > 1000 ? wait(job) : fire(job)),
+      Math.min(Math.max(0, delay), MAX_TIMEOUT_MS)
+    );
+  }
+
+  async function fire(job) {
+    arm(job, Math.max(job.slotAt, now()));
+    if (job.running) {
+      job.skipped += 1;
+      onSkip(job.name);
+      return;
+    }
+
+    job.running = true;
+    job.lastStartedAt = now();
+    try {
+      await job.run();
+    } catch (e) {
+      onError(e, job.name);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  function get(name) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`unknown job ${name}`);
+    return job;
+  }
+
+  return {
+    // `firstDelayMs` (optional) makes an @every job's first run come sooner than one interval.
+    add(name, { schedule, timeZone = "UTC", jitterMs = 0, firstDelayMs = null, run }) {
+      jobs.set(name, {
+        name,
+        schedule: parseSchedule(schedule, timeZone),
+        jitterMs,
+        firstDelayMs,
+        run,
+        active: false,
+        running: false,
+        timer: null,
+        anchor: null,
+        slotAt: null,
+        nextAt: null,
+        lastStartedAt: null,
+        skipped: 0,
+      });
+    },
+
+    start(name) {
+      const job = get(name);
+      if (job.active) return;
+      job.active = true;
+      job.anchor = now();
+      if (job.schedule.kind === "every" && job.firstDelayMs !== null) {
+        job.slotAt = now() + job.firstDelayMs;
+        job.nextAt = job.slotAt;
+        wait(job);
+      } else {
+        arm(job, now());
+      }
+    },
+
+    stop(name) {
+      const job = get(name);
+      job.active = false;
+      clearTimeout(job.timer);
+      job.nextAt = null;
+    },
+
+    // Re-parses the schedule; an active job is re-armed only if something actually changed.
+    update(name, { schedule, timeZone = "UTC", jitterMs = 0 }) {
+      const job = get(name);
+      const next = parseSchedule(schedule, timeZone);
+      const same =
+        next.source === job.schedule.source &&
+        next.timeZone === job.schedule.timeZone &&
+        jitterMs === job.jitterMs;
+      if (same) return false;
+
+      job.schedule = next;
+      job.jitterMs = jitterMs;
+      if (job.active) {
+        job.anchor = now();
+        arm(job, now());
+      }
+      return true;
+    },
+
+    // Next scheduled run times (ms) after `after`, ignoring jitter; for staleness checks.
+    upcoming(name, after, count = 1) {
+      const job = get(name);
+      const out = [];
+      let t = after;
+      while (out.length < count) {
+        t = nextRun(job.schedule, t, job.anchor ?? after);
+        if (t === null) break;
+        out.push(t);
+      }
+      return out;
+    },
+
+    list: () =>
+      [...jobs.values()].map((j) => ({
+        name: j.name,
+        schedule: j.schedule.source,
+        timeZone: j.schedule.timeZone,
+        active: j.active,
+        running: j.running,
+        nextAt: j.nextAt,
+        lastStartedAt: j.lastStartedAt,
+        skipped: j.skipped,
+      })),
+  };
+}
@@ -0,0 +1,154 @@
+// Near-duplicate story detection over titles: a 64-bit simhash of word shingles as a cheap
+// pre-filter, confirmed by IDF-weighted Jaccard over title words (so "reports quarterly
+// results" style boilerplate counts for little) and by overlap in capitalised names.
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "have", "in", "into",
+  "is", "it", "its", "of", "on", "or", "over", "says", "said", "than", "that", "the", "to",
+  "up", "with", "will", "after", "amid",
+]);
+
+export function titleTokens(title) {
+  return String(title || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/['’]s\b/g, "")
+    .replace(/[^a-z0-9$%.]+/g, " ")
+    .replace(/(^|\s)\.|\.(\s|$)/g, " ")
+    .split(/\s+/)
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+// Unigrams plus adjacent bigrams: titles are short, so bigrams alone are too sparse.
+export function shingles(tokens) {
+  const out = new Set(tokens);
+  for (let i = 0; i + 1 < tokens.length; i += 1) out.add(`${tokens[i]} ${tokens[i + 1]}`);
+  return out;
+}
+
+function fnv1a64(s) {
+  let h = 0xcbf29ce484222325n;
+  for (let i = 0; i < s.length; i += 1) {
+    h ^= BigInt(s.charCodeAt(i));
+    h = (h * 0x100000001b3n) & 0xffffffffffffffffn;
+  }
+  return h;
+}
+
+export function simhash(shingleSet) {
+  const v = new Array(64).fill(0);
+  for (const sh of shingleSet) {
+    const h = fnv1a64(sh);
+    for (let b = 0; b < 64; b += 1) v[b] += (h >> BigInt(b)) & 1n ? 1 : -1;
+  }
+  let out = 0n;
+  for (let b = 0; b < 64; b += 1) if (v[b] > 0) out |= 1n << BigInt(b);
+  return out.toString(16).padStart(16, "0");
+}
+
+export function hamming(hexA, hexB) {
+  let x = BigInt(`0x${hexA}`) ^ BigInt(`0x${hexB}`);
+  let n = 0;
+  while (x) {
+    x &= x - 1n;
+    n += 1;
+  }
+  return n;
+}
+
+function capitalised(title) {
+  return new Set(
+    titleTokens(
+      String(title || "")
+        .split(/\s+/)
+        .filter((w) => /^[A-Z][A-Za-z0-9&.'’-]*$/.test(w))
+        .join(" ")
+    )
+  );
+}
+
+// A rolling window of recently seen titles. `entries` is plain data so callers can persist it:
+//   [{ clusterId, hash, tokens, names, title, url, sourceId, vertical, at }]
+export function createClusterIndex({ entries = [], windowMs, maxHamming = 28, minScore = 0.45 }) {
+  let list = [];
+  const df = new Map();
+
+  function add(e) {
+    list.push(e);
+    for (const t of new Set(e.tokens)) df.set(t, (df.get(t) ?? 0) + 1);
+  }
+
+  function idf(t) {
+    return Math.log((list.length + 1) / ((df.get(t) ?? 0) + 1)) + 1;
+  }
+
+  function weightedJaccard(a, b) {
+    let inter = 0;
+    let union = 0;
+    for (const t of new Set([...a, ...b])) {
+      const w = idf(t);
+      union += w;
+      if (a.has(t) && b.has(t)) inter += w;
+    }
+    return union ? inter / union : 0;
+  }
+
+  function prune(now = Date.now()) {
+    const keep = list.filter((e) => now - e.at <= windowMs).slice(-5000);
+    list = [];
+    df.clear();
+    keep.forEach(add);
+  }
+
+  // Returns { clusterId, matched } where matched is the closest earlier entry (or null), or null
+  // when the title is too short to compare.
+  function assign({ title, url, sourceId, vertical }, now = Date.now()) {
+    const tokens = titleTokens(title);
+    if (tokens.length < 3) return null;
+
+    const words = new Set(tokens);
+    const names = capitalised(title);
+    const hash = simhash(shingles(tokens));
+
+    let best = null;
+    let bestScore = 0;
+    for (const e of list) {
+      if (now - e.at > windowMs) continue;
+      if (url && e.url === url) return { clusterId: e.clusterId, matched: e };
+      if (hamming(hash, e.hash) > maxHamming) continue;
+
+      const theirNames = new Set(e.names ?? []);
+      if (names.size && theirNames.size && ![...names].some((n) => theirNames.has(n))) continue;
+
+      const score = weightedJaccard(words, new Set(e.tokens));
+      if (score >= minScore && score > bestScore) {
+        best = e;
+        bestScore = score;
+      }
+    }
+
+    const clusterId =
+      best?.clusterId ?? `c${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    add({
+      clusterId,
+      hash,
+      tokens,
+      names: [...names],
+      title: String(title).slice(0, 300),
+      url,
+      sourceId,
+      vertical,
+      at: now,
+    });
+    return { clusterId, matched: best };
+  }
+
+  entries.filter((e) => e && e.hash && Array.isArray(e.tokens)).forEach(add);
+
+  return {
+    assign,
+    prune,
+    toJSON: () => list,
+  };
+}
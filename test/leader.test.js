@@ -0,0 +1,169 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+import { createFileLease, createLeaderElector } from "../leader.js";
+
+const dir = mkdtempSync(path.join(tmpdir(), "lease-test-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+let n = 0;
+function leaseFile() {
+  n += 1;
+  return path.join(dir, `leader-${n}.lock`);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function clock(start = 1_000_000) {
+  const c = { t: start, now: () => c.t };
+  return c;
+}
+
+test("only one holder gets a live lease; the holder can renew it", async () => {
+  const file = leaseFile();
+  const c = clock();
+  const a = createFileLease({ file, holder: "a", ttlMs: 100, now: c.now });
+  const b = createFileLease({ file, holder: "b", ttlMs: 100, now: c.now });
+
+  assert.equal(await a.tryAcquire(), true);
+  assert.equal(await b.tryAcquire(), false);
+  c.t += 90;
+  assert.equal(await a.tryAcquire(), true);
+  c.t += 90;
+  assert.equal(await b.tryAcquire(), false, "renewal pushed the expiry out");
+});
+
+test("an expired lease is taken over and the old holder loses it", async () => {
+  const file = leaseFile();
+  const c = clock();
+  const a = createFileLease({ file, holder: "a", ttlMs: 100, now: c.now });
+  const b = createFileLease({ file, holder: "b", ttlMs: 100, now: c.now });
+
+  assert.equal(await a.tryAcquire(), true);
+  c.t += 150;
+  assert.equal(await b.tryAcquire(), true);
+  assert.equal(await a.tryAcquire(), false);
+});
+
+test("an empty or unparsable lease file counts as expired", async () => {
+  const c = clock();
+  for (const junk of ["", "{garbage"]) {
+    const file = leaseFile();
+    writeFileSync(file, junk);
+    const a = createFileLease({ file, holder: "a", ttlMs: 100, now: c.now });
+    const b = createFileLease({ file, holder: "b", ttlMs: 100, now: c.now });
+    assert.equal(await a.tryAcquire(), true, `took over ${JSON.stringify(junk)}`);
+    assert.equal(await b.tryAcquire(), false);
+  }
+});
+
+test("release frees the lease only for its holder", async () => {
+  const file = leaseFile();
+  const c = clock();
+  const a = createFileLease({ file, holder: "a", ttlMs: 100, now: c.now });
+  const b = createFileLease({ file, holder: "b", ttlMs: 100, now: c.now });
+
+  assert.equal(await a.tryAcquire(), true);
+  await b.release();
+  assert.equal(await b.tryAcquire(), false);
+  await a.release();
+  assert.equal(await b.tryAcquire(), true);
+});
+
+test("no temporary files are left behind", async () => {
+  const file = leaseFile();
+  const c = clock();
+  const a = createFileLease({ file, holder: "a", ttlMs: 100, now: c.now });
+  const b = createFileLease({ file, holder: "b", ttlMs: 100, now: c.now });
+  await a.tryAcquire();
+  await b.tryAcquire();
+  c.t += 150;
+  await b.tryAcquire();
+  const base = path.basename(file);
+  assert.deepEqual(readdirSync(dir).filter((f) => f.startsWith(base)), [base]);
+});
+
+// Several processes race for the lease at the same instants; each round must have exactly one
+// winner, whether the file is missing (round 0) or holds an expired lease (later rounds).
+test("processes racing for the lease never both win", async () => {
+  const file = leaseFile();
+  const rounds = 8;
+  const gapMs = 150;
+  const start = Date.now() + 1500;
+  const leaderUrl = new URL("../leader.js", import.meta.url).href;
+  const script = `
+    const { createFileLease } = await import(${JSON.stringify(leaderUrl)});
+    const [file, holder, start, rounds, gap] = process.argv.slice(1);
+    const lease = createFileLease({ file, holder, ttlMs: 50 });
+    for (let r = 0; r < Number(rounds); r += 1) {
+      const at = Number(start) + r * Number(gap);
+      while (Date.now() < at);
+      if (await lease.tryAcquire()) console.log(r);
+    }
+  `;
+
+  const runs = ["a", "b", "c", "d"].map(
+    (holder) =>
+      new Promise((resolve, reject) => {
+        const child = spawn(
+          process.execPath,
+          ["--input-type=module", "-e", script, file, holder, start, rounds, gapMs],
+          { stdio: ["ignore", "pipe", "inherit"] }
+        );
+        let out = "";
+        child.stdout.on("data", (d) => (out += d));
+        child.on("error", reject);
+        child.on("exit", (code) => {
+          if (code !== 0) reject(new Error(`${holder} exited with ${code}`));
+          else resolve(out.split("\n").filter(Boolean).map(Number));
+        });
+      })
+  );
+
+  const wins = (await Promise.all(runs)).flat();
+  for (let r = 0; r < rounds; r += 1) {
+    assert.equal(wins.filter((w) => w === r).length, 1, `round ${r} winners`);
+  }
+});
+
+test("the elector keeps leading through store errors until its lease would lapse", async () => {
+  const c = clock();
+  let fail = false;
+  const changes = [];
+  const lease = {
+    tryAcquire: async () => {
+      if (fail) throw new Error("store down");
+      return true;
+    },
+    release: async () => changes.push("released"),
+  };
+  const elector = createLeaderElector({
+    lease,
+    ttlMs: 1000,
+    renewMs: 10,
+    onChange: (leader) => changes.push(leader),
+    now: c.now,
+  });
+
+  await elector.start();
+  assert.equal(elector.isLeader(), true);
+
+  fail = true;
+  await sleep(50);
+  assert.equal(elector.isLeader(), true, "still inside the TTL");
+
+  c.t += 2000;
+  await sleep(50);
+  assert.equal(elector.isLeader(), false);
+
+  fail = false;
+  await sleep(50);
+  await elector.stop();
+  assert.deepEqual(changes, [true, false, true, "released"]);
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { evaluateRules, mergeFilterRules, mergeRuleset, parseRuleset } from "../rules.js";
+
+const NOW = Date.parse("2026-03-02T12:00:00Z");
+const hoursAgo = (h) => new Date(NOW - h * 60 * 60 * 1000);
+
+function layers(spec) {
+  return Object.entries(spec).map(([layer, raw]) => ({ layer, ruleset: parseRuleset(raw) }));
+}
+
+test("parseRuleset takes objects or JSON strings and fills in defaults", () => {
+  assert.equal(parseRuleset(null), null);
+  const rs = parseRuleset('{"rules":[{"when":{"keywords":["x"]}}]}');
+  assert.equal(rs.inherit, true);
+  assert.equal(rs.max_age_hours, null);
+  assert.deepEqual(rs.rules[0], { id: "rule1", action: "exclude", when: { keywords: ["x"] } });
+  assert.throws(() => parseRuleset("{not json"));
+});
+
+test("an exclude in any layer rejects; include rules must match within their layer", () => {
+  const l = layers({
+    source: { name: "src", rules: [{ id: "no_webinars", action: "exclude", when: { regex: "webinar" } }] },
+    global: { rules: [{ id: "ree", action: "include", when: { field: "title", keywords: ["rare earth"] } }] },
+  });
+  const item = (title) => ({ title, date: hoursAgo(1) });
+
+  assert.equal(evaluateRules(item("Rare earth webinar"), l, NOW).reason, "src:no_webinars");
+  assert.equal(evaluateRules(item("Coal prices"), l, NOW).reason, "global:no_include_match");
+  const ok = evaluateRules(item("Rare earth deal"), l, NOW);
+  assert.equal(ok.skip, false);
+  assert.deepEqual(ok.acceptedBy, ["global:ree"]);
+});
+
+test("the most specific age gate wins and inherit: false stops later layers", () => {
+  const item = { title: "Old news", date: hoursAgo(30) };
+  const gates = layers({ domain: { max_age_hours: 48 }, global: { max_age_hours: 24 } });
+  assert.equal(evaluateRules(item, gates, NOW).skip, false);
+
+  const stop = layers({
+    source: { inherit: false },
+    global: { max_age_hours: 24, rules: [{ id: "x", when: { keywords: ["old"] } }] },
+  });
+  assert.equal(evaluateRules(item, stop, NOW).skip, false);
+});
+
+test("undated items pass the age gate; bad regexes don't throw", () => {
+  const l = layers({ global: { max_age_hours: 1, rules: [{ id: "r", when: { regex: "(" } }] } });
+  assert.equal(evaluateRules({ title: "x" }, l, NOW).skip, false);
+});
+
+test("mergeRuleset adds to the base ruleset, replacing rules by id", () => {
+  const base = { max_age_hours: 48, rules: [{ id: "a", action: "exclude" }, { action: "include" }] };
+  const extra = '{"name":"g","rules":[{"id":"a","action":"include"},{"id":"b"}]}';
+  assert.deepEqual(mergeRuleset(base, extra), {
+    max_age_hours: 48,
+    name: "g",
+    rules: [{ id: "a", action: "include" }, { action: "include" }, { id: "b" }],
+  });
+  assert.deepEqual(mergeRuleset(base, { max_age_hours: 12 }).max_age_hours, 12);
+  assert.equal(mergeRuleset(base, undefined), base);
+  assert.deepEqual(mergeRuleset(undefined, { rules: [] }), { rules: [] });
+});
+
+test("mergeFilterRules layers file and Cockpit rules over the built-ins in order", () => {
+  const builtin = {
+    global: { max_age_hours: 48 },
+    domains: { "sec.gov": { name: "sec" } },
+    verticals: {},
+  };
+  const file = { global: { rules: [{ id: "x" }] }, domains: { "WWW.Mining.com": { name: "mining" } } };
+  const cockpit = { global: { max_age_hours: 24 }, domains: { "sec.gov": { name: "sec2" } } };
+
+  const merged = mergeFilterRules(mergeFilterRules(builtin, file), cockpit);
+  assert.deepEqual(merged.global, { max_age_hours: 24, rules: [{ id: "x" }] });
+  assert.deepEqual(merged.domains, { "sec.gov": { name: "sec2" }, "mining.com": { name: "mining" } });
+  assert.equal(mergeFilterRules(builtin, null), builtin);
+});
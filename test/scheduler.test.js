@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { inTimeWindows, nextRun, parseSchedule, parseTimeWindows } from "../scheduler.js";
+
+const utc = (s) => Date.parse(`${s}Z`);
+
+test("parseSchedule accepts cron, macros, @every and a TZ prefix", () => {
+  assert.equal(parseSchedule("*/15 7-19 * * mon-fri").kind, "cron");
+  assert.equal(parseSchedule("@daily").kind, "cron");
+  assert.equal(parseSchedule("@every 10m").ms, 600_000);
+  assert.equal(parseSchedule("TZ=Europe/London 30 6 * * *").timeZone, "Europe/London");
+  assert.equal(parseSchedule("0 0 * * 7").weekday.has(0), true);
+});
+
+test("parseSchedule rejects malformed and never-firing schedules", () => {
+  assert.throws(() => parseSchedule("* * * *"), /5 cron fields/);
+  assert.throws(() => parseSchedule("61 * * * *"), /bad minute/);
+  assert.throws(() => parseSchedule("*/0 * * * *"), /bad minute/);
+  assert.throws(() => parseSchedule("TZ=Nowhere/City * * * * *"), /unknown time zone/);
+  assert.throws(() => parseSchedule("0 0 30 2 *"), /never fires/);
+  assert.throws(() => parseSchedule("0 0 31 4,6,9,11 *"), /never fires/);
+  // Feb 29 comes round in leap years; a weekday makes any day-of-month reachable.
+  assert.doesNotThrow(() => parseSchedule("0 0 29 2 *"));
+  assert.doesNotThrow(() => parseSchedule("0 0 30 2 mon"));
+});
+
+test("nextRun finds the next matching minute", () => {
+  const s = parseSchedule("*/15 * * * *");
+  assert.equal(nextRun(s, utc("2026-03-02T10:07:30")), utc("2026-03-02T10:15:00"));
+  // Strictly after: a time on the schedule moves on to the next slot.
+  assert.equal(nextRun(s, utc("2026-03-02T10:15:00")), utc("2026-03-02T10:30:00"));
+});
+
+test("nextRun runs a restricted day-of-month or weekday on either", () => {
+  // 2026-03-02 is a Monday; the 5th is a Thursday.
+  const s = parseSchedule("0 9 5 * mon");
+  assert.equal(nextRun(s, utc("2026-03-02T10:00:00")), utc("2026-03-05T09:00:00"));
+  assert.equal(nextRun(s, utc("2026-03-05T10:00:00")), utc("2026-03-09T09:00:00"));
+});
+
+test("nextRun finds Feb 29 in the next leap year", () => {
+  const s = parseSchedule("0 0 29 2 *");
+  assert.equal(nextRun(s, utc("2026-03-01T00:00:00")), utc("2028-02-29T00:00:00"));
+});
+
+test("nextRun skips local times lost to DST and runs repeated ones per UTC minute", () => {
+  const s = parseSchedule("30 1 * * *", "Europe/London");
+  // Clocks go forward at 01:00 UTC on 2026-03-29, so 01:30 local doesn't happen that day.
+  assert.equal(nextRun(s, utc("2026-03-28T02:00:00")), utc("2026-03-30T00:30:00"));
+  // They go back at 01:00 UTC on 2026-10-25, so 01:30 local happens twice.
+  assert.equal(nextRun(s, utc("2026-10-25T00:00:00")), utc("2026-10-25T00:30:00"));
+  assert.equal(nextRun(s, utc("2026-10-25T00:30:00")), utc("2026-10-25T01:30:00"));
+});
+
+test("@every counts from its anchor", () => {
+  const s = parseSchedule("@every 10m");
+  const anchor = utc("2026-03-02T10:03:00");
+  assert.equal(nextRun(s, anchor, anchor), utc("2026-03-02T10:13:00"));
+  assert.equal(nextRun(s, utc("2026-03-02T10:27:00"), anchor), utc("2026-03-02T10:33:00"));
+});
+
+test("parseTimeWindows keeps comma day lists inside a window", () => {
+  const w = parseTimeWindows("mon,wed 07:00-09:00; fri 07:00-12:00, 22:00-06:30");
+  assert.deepEqual(
+    w.map((x) => [x.days ? [...x.days] : null, x.start, x.end]),
+    [
+      [[1, 3], 420, 540],
+      [[5], 420, 720],
+      [null, 1320, 390],
+    ]
+  );
+  assert.deepEqual(parseTimeWindows(""), []);
+  assert.equal(parseTimeWindows(["mon,sun 08:00-09:00"])[0].days.has(0), true);
+});
+
+test("parseTimeWindows rejects malformed windows", () => {
+  assert.throws(() => parseTimeWindows("07:00-09:00 sat"), /bad time window/);
+  assert.throws(() => parseTimeWindows("xyz 07:00-08:00"), /bad weekday value "xyz"/);
+  assert.throws(() => parseTimeWindows("07:00-25:00"), /bad time "25:00"/);
+  assert.throws(() => parseTimeWindows("mon-fri"), /bad time window/);
+});
+
+test("inTimeWindows handles windows that run past midnight", () => {
+  const w = parseTimeWindows("fri 22:00-06:00");
+  // 2026-03-06 is a Friday.
+  assert.equal(inTimeWindows(w, utc("2026-03-06T23:00:00"), "UTC"), true);
+  assert.equal(inTimeWindows(w, utc("2026-03-07T05:59:00"), "UTC"), true);
+  assert.equal(inTimeWindows(w, utc("2026-03-07T06:00:00"), "UTC"), false);
+  assert.equal(inTimeWindows(w, utc("2026-03-07T23:00:00"), "UTC"), false);
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createClusterIndex, hamming, shingles, simhash, titleTokens } from "../similarity.js";
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse("2026-03-02T12:00:00Z");
+
+test("titleTokens lowercases, drops stopwords and possessives, keeps numbers", () => {
+  assert.deepEqual(titleTokens("Lynas's $1.2B Offtake with the DoD"), ["lynas", "$1.2b", "offtake", "dod"]);
+});
+
+test("simhash is stable and close for near-identical titles", () => {
+  const h = (t) => simhash(shingles(titleTokens(t)));
+  assert.equal(h("MP Materials signs magnet deal"), h("MP Materials signs magnet deal"));
+  assert.equal(hamming("ffff", "fff0"), 4);
+});
+
+test("rewordings of the same story share a cluster; other stories don't", () => {
+  const idx = createClusterIndex({ windowMs: 72 * HOUR });
+  const a = idx.assign({ title: "Lynas wins Pentagon contract for Texas rare earth plant", url: "https://a" }, T0);
+  const b = idx.assign(
+    { title: "Pentagon awards Lynas contract for Texas rare earth plant", url: "https://b" },
+    T0 + HOUR
+  );
+  const c = idx.assign({ title: "Coal exports fall as China demand slows", url: "https://c" }, T0 + HOUR);
+
+  assert.equal(a.matched, null);
+  assert.equal(b.clusterId, a.clusterId);
+  assert.equal(b.matched.url, "https://a");
+  assert.notEqual(c.clusterId, a.clusterId);
+});
+
+test("the same URL always joins its cluster; short titles aren't clustered", () => {
+  const idx = createClusterIndex({ windowMs: 72 * HOUR });
+  const a = idx.assign({ title: "Lynas quarterly report shows higher output", url: "https://x" }, T0);
+  assert.equal(idx.assign({ title: "Completely different words here", url: "https://x" }, T0).clusterId, a.clusterId);
+  assert.equal(idx.assign({ title: "Lynas update", url: "https://y" }, T0), null);
+});
+
+test("entries outside the window are ignored and pruned, and persist as plain data", () => {
+  const idx = createClusterIndex({ windowMs: 24 * HOUR });
+  const a = idx.assign({ title: "Lynas wins Pentagon contract for Texas plant", url: "https://a" }, T0);
+  const later = idx.assign({ title: "Lynas wins Pentagon contract for Texas plant", url: "https://b" }, T0 + 48 * HOUR);
+  assert.notEqual(later.clusterId, a.clusterId);
+
+  idx.prune(T0 + 48 * HOUR);
+  const saved = JSON.parse(JSON.stringify(idx.toJSON()));
+  assert.equal(saved.length, 1);
+  const restored = createClusterIndex({ entries: saved, windowMs: 24 * HOUR });
+  assert.equal(restored.assign({ title: "x", url: "https://b" }, T0 + 49 * HOUR), null);
+  const again = restored.assign(
+    { title: "Lynas wins Pentagon contract for Texas plant", url: "https://c" },
+    T0 + 49 * HOUR
+  );
+  assert.equal(again.clusterId, later.clusterId);
+});